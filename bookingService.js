@@ -4,13 +4,50 @@ import * as cheerio from 'cheerio';
 import tough from 'tough-cookie';
 import { wrapper } from 'axios-cookiejar-support';
 import fs from 'fs';
+import SlotRanker from './slotRanking.js';
+
+// Last-known transport combo values, only used if the dialog's options can't be read
+const FALLBACK_TRANSPORT_OPTIONS = [
+    { value: '205', text: 'Riding with Caddie' },
+    { value: '209', text: 'Riding without Caddie' }
+];
+const DEFAULT_MEMBER_TRANSPORT = 'Riding without Caddie';
+const DEFAULT_GUEST_TRANSPORT = 'Riding with Caddie';
+
+// drpPartySize combo text by number of players
+const PARTY_SIZE_NAMES = {
+    1: 'Single',
+    2: 'Twosome',
+    3: 'Threesome',
+    4: 'Foursome'
+};
+
+// drpRoundLength combo text and dialog numholes value by number of holes
+const ROUND_LENGTHS = {
+    18: { text: 'Eighteen Holes', numholes: '0' },
+    9: { text: 'Nine Holes', numholes: '9' }
+};
+
+// How many slots one booking attempt may try after losing the race for the one before
+const MAX_SLOT_FALLTHROUGH = 5;
+
+// How long a prefetched booking dialog and a launch-primed tee sheet stay usable
+const PREFETCHED_DIALOG_MAX_AGE_MS = 5 * 60 * 1000;
+const PRIMED_TEE_SHEET_MAX_AGE_MS = 5000;
 
 class GolfBookingService {
     constructor() {
         this.baseURL = 'https://www.trumpcoltsneck.com';
         this.siteURL = 'https://www.trumpcoltsneck.com/sites/TrumpNationalGolfClub2016ColtsNeck';
         this.courseId = '95';
+        this.timeZone = 'America/New_York'; // the club's clock, for times printed on its pages
         this.sessionToken = '';
+        this.transportOptions = null;
+        this.slotRanker = new SlotRanker(time => this.timeToMinutes(time));
+
+        // Filled ahead of an opening by the launch scheduler (launchScheduler.js), each used once
+        this.prefetchedDialogs = new Map();
+        this.primedTeeSheets = new Map();
 
         // Create a cookie jar to maintain session
         this.cookieJar = new tough.CookieJar();
@@ -175,6 +212,16 @@ class GolfBookingService {
 
         // Use local date components to avoid timezone conversion issues
         const formattedDate = `${date.getMonth() + 1}/${date.getDate()}/${date.getFullYear()}`;
+
+        // A launch attempt just found this sheet open - book from it instead of fetching again
+        const primed = this.primedTeeSheets.get(formattedDate);
+        if (primed) {
+            this.primedTeeSheets.delete(formattedDate);
+            if (Date.now() - primed.fetchedAt < PRIMED_TEE_SHEET_MAX_AGE_MS) {
+                console.log(`⚡ Using the tee sheet fetched by the launch for ${formattedDate}`);
+                return primed.teeSheet;
+            }
+        }
         
         // Also create an alternative format in case the server expects different formatting
         const paddedDate = `${String(date.getMonth() + 1).padStart(2, '0')}/${String(date.getDate()).padStart(2, '0')}/${date.getFullYear()}`;
@@ -321,11 +368,13 @@ class GolfBookingService {
         const notOpenText = $('.ncDateNotOpen').text();
         if (notOpenText) {
             const countdownText = $('#cdownBox').text();
-            console.log('Bookings not open yet:', notOpenText);
+            const opensAt = this.parseOpeningTime(notOpenText, countdownText);
+            console.log('Bookings not open yet:', notOpenText, opensAt ? `(opens ${opensAt.toLocaleString()})` : '');
             return {
                 available: false,
                 message: notOpenText,
                 countdown: countdownText,
+                opensAt,
                 slots: []
             };
         }
@@ -342,6 +391,67 @@ class GolfBookingService {
         };
     }
 
+    // Exact opening moment from the not-open page as a real instant, or null if neither text can be read
+    // Countdown: "2 days 14:32:10", "1d 5h 12m 30s", "05:12:30" - counted from `now`
+    // Notice: "... available on Saturday, October 24, 2026 at 6:30 AM" - on the club's clock
+    parseOpeningTime(notOpenText, countdownText, now = Date.now()) {
+        const countdown = (countdownText || '').replace(/\s+/g, ' ').trim();
+
+        const clock = countdown.match(/(?:(\d+)\s*d(?:ays?)?\D*?)?(\d{1,2}):(\d{2}):(\d{2})/i);
+        if (clock) {
+            const [, days, hours, minutes, seconds] = clock.map(Number);
+            return new Date(now + ((((days || 0) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000);
+        }
+
+        const units = { d: 86400, h: 3600, m: 60, s: 1 };
+        let totalSeconds = 0;
+        let matched = false;
+        for (const [, amount, unit] of countdown.matchAll(/(\d+)\s*(d|h|m|s)[a-z]*/gi)) {
+            totalSeconds += Number(amount) * units[unit.toLowerCase()];
+            matched = true;
+        }
+        if (matched) {
+            return new Date(now + totalSeconds * 1000);
+        }
+
+        const notice = (notOpenText || '').match(/([A-Z][a-z]+ \d{1,2}, \d{4})\D{0,10}?(\d{1,2}:\d{2}\s*[AP]M)/i);
+        if (notice) {
+            const opensAt = this.clubTimeToInstant(`${notice[1]} ${notice[2].toUpperCase()}`);
+            if (opensAt) return opensAt;
+        }
+
+        return null;
+    }
+
+    // The real instant of a date and time shown on the club's clock ("October 24, 2026 6:30 AM"),
+    // whatever time zone this process runs in; null if the text isn't a date
+    clubTimeToInstant(text) {
+        const parsed = new Date(text);
+        if (isNaN(parsed)) return null;
+
+        // The wall-clock fields as if they were UTC, then shifted by the club's offset at that moment
+        const wallClockMs = Date.UTC(parsed.getFullYear(), parsed.getMonth(), parsed.getDate(),
+            parsed.getHours(), parsed.getMinutes(), parsed.getSeconds());
+        const guess = wallClockMs - this.clubOffsetMs(wallClockMs);
+        return new Date(wallClockMs - this.clubOffsetMs(guess));
+    }
+
+    // How far the club's clock is ahead of UTC at an instant (negative west of Greenwich)
+    clubOffsetMs(instantMs) {
+        const parts = Object.fromEntries(
+            new Intl.DateTimeFormat('en-US', {
+                timeZone: this.timeZone,
+                hourCycle: 'h23',
+                year: 'numeric', month: 'numeric', day: 'numeric',
+                hour: 'numeric', minute: 'numeric', second: 'numeric'
+            }).formatToParts(new Date(instantMs))
+                .filter(part => part.type !== 'literal')
+                .map(part => [part.type, Number(part.value)])
+        );
+        const zonedMs = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return zonedMs - Math.floor(instantMs / 1000) * 1000;
+    }
+
     // Parse available slots from HTML
     parseAvailableSlots(html) {
         const slots = [];
@@ -381,7 +491,8 @@ class GolfBookingService {
                             currentPlayers: parseInt(currentPlayers),
                             courseId: courseId,
                             date: date,
-                            canReserve: true
+                            canReserve: true,
+                            holeRestriction: null
                         });
 
                         // Slot found (logging removed for speed)
@@ -419,7 +530,8 @@ class GolfBookingService {
                                         currentPlayers: parseInt(currentPlayers),
                                         courseId: courseId,
                                         date: date,
-                                        canReserve: true
+                                        canReserve: true,
+                                        holeRestriction: null
                                     });
                                 }
                             }
@@ -429,9 +541,81 @@ class GolfBookingService {
             });
         }
 
+        this.applyHoleRestrictions($, slots);
+
         return slots;
     }
 
+    // Attach any "9 Holes Only" / "18 Holes Only" notice shown on a slot's panel
+    applyHoleRestrictions($, slots) {
+        $('[onclick*="LaunchReserver"]').each((i, elem) => {
+            const params = ($(elem).attr('onclick') || '').match(/['"]([^'"]+)['"]/g);
+            if (!params || params.length < 3) return;
+
+            const time = params[2].replace(/['"]/g, '');
+            const panel = $(elem).closest('[class*="TimeSlotPanel"]');
+            const panelText = (panel.length ? panel : $(elem).parent()).text();
+
+            const holeRestriction = this.parseHoleRestriction(panelText);
+            if (!holeRestriction) return;
+
+            const slot = slots.find(s => s.time === time);
+            if (slot) {
+                slot.holeRestriction = holeRestriction;
+            }
+        });
+    }
+
+    // Parse a hole restriction (9 or 18) from slot text, or null if unrestricted
+    parseHoleRestriction(text) {
+        const match = (text || '').match(/\b(9|18|Nine|Eighteen)\s*Holes?\s*Only\b/i);
+        if (!match) return null;
+
+        const value = match[1].toLowerCase();
+        return value === '9' || value === 'nine' ? 9 : 18;
+    }
+
+    // Check a slot can be played at the requested round length
+    slotFitsRound(slot, roundLength = 18) {
+        return !slot.holeRestriction || slot.holeRestriction === roundLength;
+    }
+
+    // Check a slot's starting tee against a tee preference
+    // ('first_only', 'tenth_only', 'either' or 'prefer_first')
+    slotFitsTee(slot, teePreference = 'either') {
+        if (teePreference === 'first_only') return slot.tee === '1st TEE';
+        if (teePreference === 'tenth_only') return slot.tee === '10th TEE';
+        return true;
+    }
+
+    // Slots the booking could use (preferring the 1st tee is left to rankSlots)
+    filterCandidateSlots(slots, options = {}) {
+        const partySize = options.partySize || 4;
+        const roundLength = options.roundLength || 18;
+        const teePreference = options.teePreference || 'either';
+
+        return slots.filter(slot =>
+            slot.canReserve &&
+            slot.availableSpots >= partySize &&
+            this.slotFitsRound(slot, roundLength) &&
+            this.slotFitsTee(slot, teePreference)
+        );
+    }
+
+    // Candidate slots inside the time range, best first by the booking's ranking strategy
+    // (options.rankingStrategy, optional options.rankingWeights overrides - see slotRanking.js);
+    // options.targetTimeMin is the preferred time "closest" measures from (default: range start)
+    rankSlots(candidateSlots, preferredTimeMin, maxTimeMin, options = {}) {
+        return this.slotRanker.rank(candidateSlots, {
+            preferredTimeMin,
+            maxTimeMin,
+            targetTimeMin: options.targetTimeMin,
+            strategy: options.rankingStrategy,
+            weights: options.rankingWeights,
+            teePreference: options.teePreference
+        });
+    }
+
     // Convert time string to minutes for comparison
     timeToMinutes(timeStr) {
         try {
@@ -483,151 +667,524 @@ class GolfBookingService {
         }
     }
 
+    // Convert minutes since midnight to a TIME column value (HH:MM:00)
+    minutesToTime(minutes) {
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}:00`;
+    }
+
+    // Query string for the MakeTeeTime dialog of a slot
+    bookingDialogParams(slot, options = {}) {
+        return {
+            p: 'NetcaddyPop',
+            tt: 'MakeTeeTime',
+            NoModResize: '1',
+            NoNav: '1',
+            ShowFooter: 'False',
+            courseid: slot.courseId,
+            date: slot.date,
+            time: slot.time,
+            hole: slot.tee === '10th TEE' ? '10' : '1',
+            numholes: (ROUND_LENGTHS[options.roundLength] || ROUND_LENGTHS[18]).numholes,
+            xsome: String(options.partySize || 4),
+            startletter: ''
+        };
+    }
+
+    // Hand an open tee sheet from a launch attempt to the booking that follows it
+    primeTeeSheet(date, teeSheet) {
+        const formattedDate = `${date.getMonth() + 1}/${date.getDate()}/${date.getFullYear()}`;
+        this.primedTeeSheets.set(formattedDate, { teeSheet, fetchedAt: Date.now() });
+    }
+
+    // Prefetched dialogs are keyed without time and start hole: setSlotFields overlays those
+    // on the posted form, so one dialog per date, party size and round length serves any slot
+    dialogCacheKey(slot, options = {}) {
+        const { time, hole, ...params } = this.bookingDialogParams(slot, options);
+        return new URLSearchParams({ ...params, courseid: String(params.courseid), date: this.dialogDate(params.date) }).toString();
+    }
+
+    // M/D/YYYY for a Date or any date text the club uses (10/26/2026, 10/6/2026, 2026-10-06), so a
+    // prefetch and the LaunchReserver slot it serves get the same key
+    dialogDate(date) {
+        if (typeof date === 'string') {
+            const slashed = date.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+            if (slashed) return `${Number(slashed[1])}/${Number(slashed[2])}/${slashed[3]}`;
+
+            const iso = date.match(/^(\d{4})-(\d{2})-(\d{2})/);
+            if (iso) return `${Number(iso[2])}/${Number(iso[3])}/${iso[1]}`;
+
+            const parsed = new Date(date);
+            if (isNaN(parsed.getTime())) return date;
+            date = parsed;
+        }
+        return `${date.getMonth() + 1}/${date.getDate()}/${date.getFullYear()}`;
+    }
+
+    // Load a date's booking dialog ahead of its opening so the first reservation skips that request.
+    // Returns false if the club doesn't render a bookable dialog for the date yet
+    async prefetchBookingDialog(date, options = {}) {
+        const slot = {
+            courseId: this.courseId,
+            date: this.dialogDate(date),
+            time: '',
+            tee: '1st TEE'
+        };
+        const html = await this.fetchBookingDialog(slot, options);
+
+        if (html.includes('txtUsername') || !html.includes('lbBook')) {
+            return false;
+        }
+
+        this.prefetchedDialogs.set(this.dialogCacheKey(slot, options), { html, fetchedAt: Date.now() });
+        return true;
+    }
+
+    // Load the MakeTeeTime dialog HTML for a slot
+    async fetchBookingDialog(slot, options = {}) {
+        const key = this.dialogCacheKey(slot, options);
+        const prefetched = this.prefetchedDialogs.get(key);
+        if (prefetched) {
+            this.prefetchedDialogs.delete(key);
+            if (Date.now() - prefetched.fetchedAt < PREFETCHED_DIALOG_MAX_AGE_MS) {
+                return prefetched.html;
+            }
+        }
+
+        const response = await this.client.get(
+            `${this.baseURL}/dialog.aspx`,
+            {
+                params: this.bookingDialogParams(slot, options),
+                headers: {
+                    'Referer': `${this.siteURL}/Default.aspx?p=dynamicmodule&pageid=100076&ssid=100088&vnf=1`
+                }
+            }
+        );
+
+        return response.data;
+    }
+
+    // Collect the postback fields of a fetched form the way the browser would submit them:
+    // every named input, select and textarea with its current value, in document order
+    extractFormFields(html) {
+        const $ = cheerio.load(html);
+        const formData = new URLSearchParams();
+        const skippedTypes = ['submit', 'button', 'image', 'reset', 'file'];
+
+        $('input[name], select[name], textarea[name]').each((i, elem) => {
+            const field = $(elem);
+            const name = field.attr('name');
+            const tag = elem.tagName.toLowerCase();
+
+            if (field.attr('disabled') !== undefined) return;
+
+            if (tag === 'select') {
+                const selected = field.find('option[selected]').first();
+                const option = selected.length ? selected : field.find('option').first();
+                formData.set(name, option.length ? (option.attr('value') ?? option.text()) : '');
+                return;
+            }
+
+            if (tag === 'textarea') {
+                formData.set(name, field.text());
+                return;
+            }
+
+            const type = (field.attr('type') || 'text').toLowerCase();
+            if (skippedTypes.includes(type)) return;
+            if ((type === 'checkbox' || type === 'radio') && field.attr('checked') === undefined) return;
+
+            formData.set(name, field.attr('value') ?? (type === 'checkbox' || type === 'radio' ? 'on' : ''));
+        });
+
+        // The stylesheet manager fills its hidden field client-side from the combined CSS URL
+        if (!formData.get('rsmDefaultCSS_TSSM')) {
+            const styleSheets = this.parseStyleSheetManagerState(html);
+            if (styleSheets) {
+                formData.set('rsmDefaultCSS_TSSM', styleSheets);
+            } else {
+                console.warn('⚠️ Could not find Telerik stylesheet list in booking form');
+            }
+        }
+
+        return formData;
+    }
+
+    // Read the Telerik stylesheet list (_TSM_CombinedScripts_) that belongs in rsmDefaultCSS_TSSM
+    parseStyleSheetManagerState(html) {
+        const match = html.match(/_TSM_HiddenField_=rsmDefaultCSS_TSSM[^"']*?_TSM_CombinedScripts_=([^&"']+)/)
+            || html.match(/_TSM_CombinedScripts_=([^&"']+)[^"']*?_TSM_HiddenField_=rsmDefaultCSS_TSSM/);
+        if (!match) return null;
+
+        try {
+            return decodeURIComponent(match[1].replace(/&amp;/g, '&').replace(/\+/g, ' ')).replace(/^;+/, '');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Fetch the club's member/guest directory behind the P-combo player names
+    async getPlayerDirectory() {
+        const today = new Date();
+        const html = await this.fetchBookingDialog({
+            courseId: this.courseId,
+            date: `${today.getMonth() + 1}/${today.getDate()}/${today.getFullYear()}`,
+            time: '',
+            tee: '1st TEE'
+        });
+
+        if (html.includes('txtUsername')) {
+            throw new Error('Session expired - got login page');
+        }
+
+        // Leave out the logged-in member, who is always P1
+        const member = this.parseMainPlayer(cheerio.load(html), html);
+        return this.parsePlayerDirectory(html)
+            .filter(player => !member || player.playerId !== member.playerId);
+    }
+
+    // Parse combo item data ({"text": "...", "value": "1036745_Guest"}) out of the dialog HTML
+    parsePlayerDirectory(html) {
+        const decodedHtml = html
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&amp;/g, '&');
+
+        const players = new Map();
+        const patterns = [
+            /"text"\s*:\s*"([^"]+)"\s*,\s*"value"\s*:\s*"(\d+)_(Member|Guest)"/g,
+            /"value"\s*:\s*"(\d+)_(Member|Guest)"\s*,\s*"text"\s*:\s*"([^"]+)"/g
+        ];
+
+        patterns.forEach((pattern, index) => {
+            let match;
+            while ((match = pattern.exec(decodedHtml)) !== null) {
+                const [name, playerId, playerType] = index === 0
+                    ? [match[1], match[2], match[3]]
+                    : [match[3], match[1], match[2]];
+
+                const key = `${playerId}_${playerType}`;
+                if (!players.has(key)) {
+                    players.set(key, { playerId, playerType, name: name.trim() });
+                }
+            }
+        });
+
+        return [...players.values()];
+    }
+
+    // Read the member pre-filled in the P1 combo of the MakeTeeTime dialog
+    parseMainPlayer($, html) {
+        const clientState = $('input[name="ctl00_ctrl_MakeTeeTime_P1_PCombo_PlayerName_ClientState"]').val();
+        if (clientState) {
+            try {
+                const state = JSON.parse(clientState);
+                const [playerId, playerType] = (state.value || '').split('_');
+                if (playerId && state.text) {
+                    return { playerId, playerType: playerType || 'Member', name: state.text, transport: DEFAULT_MEMBER_TRANSPORT };
+                }
+            } catch (error) {
+                console.warn('Could not parse P1 client state:', error.message);
+            }
+        }
+
+        // Fall back to the combo's text, looked up in the page's player directory. The directory
+        // lists every member, so only an unambiguous name match is used
+        const name = ($('input[name="ctl00$ctrl_MakeTeeTime$P1$PCombo$PlayerName"]').val() || '').trim();
+        if (name) {
+            const matches = this.parsePlayerDirectory(html)
+                .filter(player => player.playerType === 'Member' && player.name.toLowerCase() === name.toLowerCase());
+            if (matches.length === 1) {
+                return { ...matches[0], name, transport: DEFAULT_MEMBER_TRANSPORT };
+            }
+            console.warn(`⚠️ P1 "${name}" matches ${matches.length} directory members, not guessing`);
+        }
+
+        return null;
+    }
+
+    // Map a guest_list row to the player shape used in the reservation form
+    guestToPlayer(guest) {
+        return {
+            playerId: guest.player_id ? String(guest.player_id) : '',
+            playerType: guest.player_type || 'Guest',
+            name: guest.name,
+            transport: guest.transport || DEFAULT_GUEST_TRANSPORT
+        };
+    }
+
+    // Read the transport combo options (text and value) from the MakeTeeTime dialog
+    parseTransportOptions(html) {
+        const $ = cheerio.load(html);
+        const options = [];
+
+        // Mobile markup renders the combo as a native select
+        $('select[name*="P1$transport"] option').each((i, elem) => {
+            const value = $(elem).attr('value');
+            const text = $(elem).text().trim();
+            if (value && text) options.push({ value, text });
+        });
+        if (options.length > 0) return options;
+
+        // Telerik markup: item texts in the drop-down list, values in the $create itemData
+        const texts = $('#ctl00_ctrl_MakeTeeTime_P1_transport_oCombo_DropDown li')
+            .map((i, elem) => $(elem).text().trim())
+            .get();
+
+        const scriptIndex = html.indexOf('"ctl00_ctrl_MakeTeeTime_P1_transport_oCombo"');
+        const itemDataMatch = scriptIndex >= 0
+            ? html.slice(Math.max(0, scriptIndex - 5000), scriptIndex).match(/"itemData":(\[[^\]]*\])(?![\s\S]*"itemData")/)
+            : null;
+
+        let itemData = [];
+        if (itemDataMatch) {
+            try {
+                itemData = JSON.parse(itemDataMatch[1]);
+            } catch (error) {
+                console.warn('Could not parse transport item data:', error.message);
+            }
+        }
+
+        itemData.forEach((item, index) => {
+            const text = item.text || texts[index];
+            if (item.value && text) options.push({ value: String(item.value), text });
+        });
+
+        return options;
+    }
+
+    // Load the transport options offered by the booking dialog
+    async getTransportOptions() {
+        const today = new Date();
+        const html = await this.fetchBookingDialog({
+            courseId: this.courseId,
+            date: `${today.getMonth() + 1}/${today.getDate()}/${today.getFullYear()}`,
+            time: '',
+            tee: '1st TEE'
+        });
+
+        if (html.includes('txtUsername')) {
+            throw new Error('Session expired - got login page');
+        }
+
+        const options = this.parseTransportOptions(html);
+        if (options.length > 0) {
+            this.transportOptions = options;
+        }
+        return options;
+    }
+
+    // Last transport options read from a booking dialog, or the fallback list before any was read
+    getKnownTransportOptions() {
+        return this.transportOptions || FALLBACK_TRANSPORT_OPTIONS;
+    }
+
+    // Transport options come from the dialog itself; fall back to the last known list
+    resolveTransportOptions(html) {
+        const options = this.parseTransportOptions(html);
+        if (options.length > 0) {
+            this.transportOptions = options;
+            return options;
+        }
+
+        console.warn('⚠️ No transport options found in booking form, using last known options');
+        return this.getKnownTransportOptions();
+    }
+
+    // Set the date, time and start hole of the slot being booked
+    setSlotFields(formData, slot) {
+        const startHole = slot.tee === '10th TEE'
+            ? { value: '10', text: '10th Tee' }
+            : { value: '1', text: '1st Tee' };
+        formData.set('ctl00$ctrl_MakeTeeTime$drpStartHole$tCombo', startHole.text);
+        formData.set('ctl00_ctrl_MakeTeeTime_drpStartHole_tCombo_ClientState', JSON.stringify({
+            logEntries: null,
+            value: startHole.value,
+            text: startHole.text,
+            enabled: false,
+            checkedIndices: [],
+            checkedItemsTextOverflows: false
+        }));
+
+        formData.set('ctl00$ctrl_MakeTeeTime$rdDate$tMDateBox', slot.date);
+        formData.set('ctl00$ctrl_MakeTeeTime$drpTime$tCombo', slot.time);
+    }
+
+    // Empty a P-block the existing reservation had but the new party doesn't use
+    clearPlayer(formData, position) {
+        const prefix = `ctl00$ctrl_MakeTeeTime$P${position}`;
+        const statePrefix = `ctl00_ctrl_MakeTeeTime_P${position}`;
+
+        formData.set(`${prefix}$PCombo$PlayerName`, '');
+        formData.set(`${statePrefix}_PCombo_PlayerName_ClientState`, '');
+        formData.delete(`${prefix}$chkNotify`);
+    }
+
+    // Append one P-block (P1-P4) to the reservation form
+    appendPlayer(formData, position, player, transportOptions) {
+        const wanted = (player.transport || '').toLowerCase();
+        const transport = transportOptions.find(option => option.text.toLowerCase() === wanted);
+        if (!transport) {
+            throw new Error(`Transport "${player.transport}" is not offered for ${player.name}`);
+        }
+
+        const prefix = `ctl00$ctrl_MakeTeeTime$P${position}`;
+        const statePrefix = `ctl00_ctrl_MakeTeeTime_P${position}`;
+
+        formData.set(`${prefix}$chkNotify`, 'on');
+        formData.set(`${prefix}$PCombo$PlayerName`, player.name);
+        formData.set(`${statePrefix}_PCombo_PlayerName_ClientState`, JSON.stringify({
+            logEntries: [],
+            value: `${player.playerId}_${player.playerType}`,
+            text: player.name,
+            enabled: true,
+            checkedIndices: [],
+            checkedItemsTextOverflows: false
+        }));
+        formData.set(`${prefix}$transport$oCombo`, transport.text);
+        formData.set(`${statePrefix}_transport_oCombo_ClientState`, JSON.stringify({
+            logEntries: [],
+            value: transport.value,
+            text: transport.text,
+            enabled: true,
+            checkedIndices: [],
+            checkedItemsTextOverflows: false
+        }));
+        formData.set(`${prefix}$transport$mobileComboSelected`, '');
+        formData.set(`${prefix}$groupNum`, '0');
+    }
+
+    // Headers of an async (MicrosoftAjax) postback to dialog.aspx
+    postbackHeaders() {
+        return {
+            'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
+            'X-Requested-With': 'XMLHttpRequest',
+            'X-Microsoftajax': 'Delta=true',
+            'Cache-Control': 'no-cache',
+            'Accept': '*/*',
+            'Origin': 'https://www.trumpcoltsneck.com',
+            'Sec-Fetch-Site': 'same-origin',
+            'Sec-Fetch-Mode': 'cors',
+            'Sec-Fetch-Dest': 'empty',
+            'Referer': 'https://www.trumpcoltsneck.com/',
+            'Accept-Encoding': 'gzip, deflate, br',
+            'Accept-Language': 'en-US,en;q=0.9',
+            'Priority': 'u=1, i'
+        };
+    }
+
+    // Fill a Telerik RadTextBox (comments/notes) and keep its ClientState in step with the value
+    setTextBoxValue(formData, field, value) {
+        const name = `ctl00$ctrl_MakeTeeTime$${field}`;
+        const stateName = `ctl00_ctrl_MakeTeeTime_${field}_ClientState`;
+
+        let state = { enabled: true, emptyMessage: '' };
+        try {
+            state = { ...state, ...JSON.parse(formData.get(stateName) || '{}') };
+        } catch (error) {
+            console.warn(`Could not parse ${field} client state:`, error.message);
+        }
+
+        formData.set(name, value);
+        formData.set(stateName, JSON.stringify({
+            enabled: state.enabled,
+            emptyMessage: state.emptyMessage,
+            validationText: value,
+            valueAsString: value,
+            lastSetTextBoxValue: value
+        }));
+    }
+
     // Make a reservation for a specific slot with retry logic
-    async makeReservation(slot, guests, mainPlayerName = 'Habib, Jake', maxRetries = 10) {
+    // options: { partySize (1-4, default 4), roundLength (18 or 9), mainPlayer (P1 override),
+    //           memberTransport (P1 transport override), comments, notes (for the pro shop) }
+    // Guests carry their own transport (guest_list default or per-booking override)
+    async makeReservation(slot, guests, options = {}, maxRetries = 10) {
+        const partySize = options.partySize || 4;
+        const roundLength = ROUND_LENGTHS[options.roundLength] ? options.roundLength : 18;
+
         for (let attempt = 1; attempt <= maxRetries; attempt++) {
             try {
                 console.log(`🎯 [Attempt ${attempt}/${maxRetries}] Making reservation for ${slot.time} on ${slot.date}`);
 
             // First, get the booking form to extract required form fields
-            const bookingFormResponse = await this.client.get(
-                `${this.baseURL}/dialog.aspx`,
-                {
-                    params: {
-                        p: 'NetcaddyPop',
-                        tt: 'MakeTeeTime',
-                        NoModResize: '1',
-                        NoNav: '1',
-                        ShowFooter: 'False',
-                        courseid: slot.courseId,
-                        date: slot.date,
-                        time: slot.time,
-                        hole: slot.tee === '1st TEE' ? '1' : '10',
-                        numholes: '0',
-                        xsome: '4',
-                        startletter: ''
-                    },
-                    headers: {
-                        'Referer': `${this.siteURL}/Default.aspx?p=dynamicmodule&pageid=100076&ssid=100088&vnf=1`
-                    }
-                }
-            );
+            const bookingFormHtml = await this.fetchBookingDialog(slot, { partySize, roundLength });
 
             console.log('Got booking form, extracting form data...');
-            const $ = cheerio.load(bookingFormResponse.data);
+            const $ = cheerio.load(bookingFormHtml);
 
-            // Extract required form fields
-            const viewState = $('input[name="__VIEWSTATE"]').val() || '';
-            const eventValidation = $('input[name="__EVENTVALIDATION"]').val() || '';
-            const ceViewState = $('input[name="__CEVIEWSTATE"]').val() || '';
-
-            // Build form data for booking
-            const formData = new URLSearchParams();
+            // Start from every field the dialog renders, then overlay our booking values
+            const formData = this.extractFormFields(bookingFormHtml);
+            if (!formData.get('__VIEWSTATE')) {
+                throw new Error('Booking form has no __VIEWSTATE - unexpected page returned');
+            }
 
-            // Core form fields - matching the exact structure from your sample
-            formData.append('defaultSM', 'defaultSM|ctl00$ctrl_MakeTeeTime$lbBook');
-            formData.append('rsmDefaultCSS_TSSM', 'Telerik.Web.UI, Version=2025.1.416.462, Culture=neutral, PublicKeyToken=121fae78165ba3d4:en-US:ced1f735-5c2a-4218-bd68-1813924fe936:1c2121e:e24b8e95:8cee9284:a3b7d93f:aac1aeb7:c73cf106;Telerik.Web.UI.Skins, Version=2025.1.416.462, Culture=neutral, PublicKeyToken=121fae78165ba3d4:en-US:ed16527b-31a8-4623-a686-9663f4c1871e:cb23ecce');
-            formData.append('__EVENTTARGET', 'ctl00$ctrl_MakeTeeTime$lbBook');
-            formData.append('__EVENTARGUMENT', '');
-            formData.append('__CEVIEWSTATE', ceViewState);
-            formData.append('__VIEWSTATE', viewState);
-            if (eventValidation) formData.append('__EVENTVALIDATION', eventValidation);
+            // Async postback of the Book button
+            formData.set('defaultSM', 'defaultSM|ctl00$ctrl_MakeTeeTime$lbBook');
+            formData.set('__EVENTTARGET', 'ctl00$ctrl_MakeTeeTime$lbBook');
+            formData.set('__EVENTARGUMENT', '');
 
             // Booking details with proper client states
-            formData.append('ctl00$ctrl_MakeTeeTime$drpStartHole$tCombo', '1st Tee');
-            formData.append('ctl00_ctrl_MakeTeeTime_drpStartHole_tCombo_ClientState', '{"logEntries":null,"value":"1","text":"1st Tee","enabled":false,"checkedIndices":[],"checkedItemsTextOverflows":false}');
-            formData.append('ctl00$ctrl_MakeTeeTime$drpStartHole$mobileComboSelected', '');
-
-            formData.append('ctl00$ctrl_MakeTeeTime$drpRoundLength$tCombo', 'Eighteen Holes');
-            formData.append('ctl00_ctrl_MakeTeeTime_drpRoundLength_tCombo_ClientState', '');
-
-            formData.append('ctl00$ctrl_MakeTeeTime$drpPartySize$tCombo', 'Foursome');
-            formData.append('ctl00_ctrl_MakeTeeTime_drpPartySize_tCombo_ClientState', '');
-
-            formData.append('ctl00$ctrl_MakeTeeTime$rdDate$tMDateBox', slot.date);
-            formData.append('ctl00$ctrl_MakeTeeTime$rdDate$mobileDateBoxSelected', '');
-
-            formData.append('ctl00$ctrl_MakeTeeTime$drpCourseName$tCombo', 'Trump National Colts Neck');
-            formData.append('ctl00_ctrl_MakeTeeTime_drpCourseName_tCombo_ClientState', '');
-
-            formData.append('ctl00$ctrl_MakeTeeTime$drpTime$tCombo', slot.time);
-            formData.append('ctl00_ctrl_MakeTeeTime_drpTime_tCombo_ClientState', '');
-            formData.append('ctl00$ctrl_MakeTeeTime$drpTime$mobileComboSelected', '');
-
-            // Add specific players matching your working request exactly
-            // Player 1 (Member - Jake Habib)
-            formData.append('ctl00$ctrl_MakeTeeTime$P1$chkNotify', 'on');
-            formData.append('ctl00$ctrl_MakeTeeTime$P1$PCombo$PlayerName', 'Habib, Jake');
-            formData.append('ctl00_ctrl_MakeTeeTime_P1_PCombo_PlayerName_ClientState',
-                '{"logEntries":[],"value":"100003855_Member","text":"Habib, Jake","enabled":true,"checkedIndices":[],"checkedItemsTextOverflows":false}');
-            formData.append('ctl00$ctrl_MakeTeeTime$P1$transport$oCombo', 'Riding without Caddie');
-            formData.append('ctl00_ctrl_MakeTeeTime_P1_transport_oCombo_ClientState',
-                '{"logEntries":[],"value":"209","text":"Riding without Caddie","enabled":true,"checkedIndices":[],"checkedItemsTextOverflows":false}');
-            formData.append('ctl00$ctrl_MakeTeeTime$P1$transport$mobileComboSelected', '');
-            formData.append('ctl00$ctrl_MakeTeeTime$P1$groupNum', '0');
-
-            // Player 2 (Guest - Diana Bajramovic)
-            formData.append('ctl00$ctrl_MakeTeeTime$P2$chkNotify', 'on');
-            formData.append('ctl00$ctrl_MakeTeeTime$P2$PCombo$PlayerName', 'Bajramovic,  Diana');
-            formData.append('ctl00_ctrl_MakeTeeTime_P2_PCombo_PlayerName_ClientState',
-                '{"logEntries":[],"value":"1036745_Guest","text":"Bajramovic,  Diana","enabled":true,"checkedIndices":[],"checkedItemsTextOverflows":false}');
-            formData.append('ctl00$ctrl_MakeTeeTime$P2$transport$oCombo', 'Riding with Caddie');
-            formData.append('ctl00_ctrl_MakeTeeTime_P2_transport_oCombo_ClientState',
-                '{"logEntries":[],"value":"205","text":"Riding with Caddie","enabled":true,"checkedIndices":[],"checkedItemsTextOverflows":false}');
-            formData.append('ctl00$ctrl_MakeTeeTime$P2$transport$mobileComboSelected', '');
-            formData.append('ctl00$ctrl_MakeTeeTime$P2$groupNum', '0');
-
-            // Player 3 (Guest - Louie Belpedio)
-            formData.append('ctl00$ctrl_MakeTeeTime$P3$chkNotify', 'on');
-            formData.append('ctl00$ctrl_MakeTeeTime$P3$PCombo$PlayerName', 'belpedio,  louie');
-            formData.append('ctl00_ctrl_MakeTeeTime_P3_PCombo_PlayerName_ClientState',
-                '{"logEntries":[],"value":"1051175_Guest","text":"belpedio,  louie","enabled":true,"checkedIndices":[],"checkedItemsTextOverflows":false}');
-            formData.append('ctl00$ctrl_MakeTeeTime$P3$transport$oCombo', 'Riding with Caddie');
-            formData.append('ctl00_ctrl_MakeTeeTime_P3_transport_oCombo_ClientState',
-                '{"logEntries":[],"value":"205","text":"Riding with Caddie","enabled":true,"checkedIndices":[],"checkedItemsTextOverflows":false}');
-            formData.append('ctl00$ctrl_MakeTeeTime$P3$transport$mobileComboSelected', '');
-            formData.append('ctl00$ctrl_MakeTeeTime$P3$groupNum', '0');
-
-            // Player 4 (Guest - Dennis Francese)
-            formData.append('ctl00$ctrl_MakeTeeTime$P4$chkNotify', 'on');
-            formData.append('ctl00$ctrl_MakeTeeTime$P4$PCombo$PlayerName', 'Francese,  Dennis');
-            formData.append('ctl00_ctrl_MakeTeeTime_P4_PCombo_PlayerName_ClientState',
-                '{"logEntries":[],"value":"1036744_Guest","text":"Francese,  Dennis","enabled":true,"checkedIndices":[],"checkedItemsTextOverflows":false}');
-            formData.append('ctl00$ctrl_MakeTeeTime$P4$transport$oCombo', 'Riding with Caddie');
-            formData.append('ctl00_ctrl_MakeTeeTime_P4_transport_oCombo_ClientState',
-                '{"logEntries":[],"value":"205","text":"Riding with Caddie","enabled":true,"checkedIndices":[],"checkedItemsTextOverflows":false}');
-            formData.append('ctl00$ctrl_MakeTeeTime$P4$transport$mobileComboSelected', '');
-            formData.append('ctl00$ctrl_MakeTeeTime$P4$groupNum', '0');
-
-            // Additional required fields from your sample request
-            formData.append('ctl00_ctrl_MakeTeeTime_tsOptions_ClientState', '{"selectedIndexes":["0"],"logEntries":[],"scrollState":{}}');
-            formData.append('ctl00$ctrl_MakeTeeTime$drpNotEarlierThan$tCombo', '');
-            formData.append('ctl00_ctrl_MakeTeeTime_drpNotEarlierThan_tCombo_ClientState', '');
-            formData.append('ctl00$ctrl_MakeTeeTime$drpNotLaterThan$tCombo', '');
-            formData.append('ctl00_ctrl_MakeTeeTime_drpNotLaterThan_tCombo_ClientState', '');
-            formData.append('ctl00$ctrl_MakeTeeTime$drpCourseExclude$oCombo', '');
-            formData.append('ctl00_ctrl_MakeTeeTime_drpCourseExclude_oCombo_ClientState', '');
-            formData.append('ctl00$ctrl_MakeTeeTime$drpCourseExclude$mobileComboSelected', '');
-
-            formData.append('ctl00$ctrl_MakeTeeTime$txtComments', 'Write a comment');
-            formData.append('ctl00_ctrl_MakeTeeTime_txtComments_ClientState', '{"enabled":true,"emptyMessage":"Write a comment","validationText":"","valueAsString":"","lastSetTextBoxValue":"Write a comment"}');
-            formData.append('ctl00$ctrl_MakeTeeTime$txtNotes', 'Write a note');
-            formData.append('ctl00_ctrl_MakeTeeTime_txtNotes_ClientState', '{"enabled":true,"emptyMessage":"Write a note","validationText":"","valueAsString":"","lastSetTextBoxValue":"Write a note"}');
-
-            formData.append('ctl00$ctrl_MakeTeeTime$ddlRecurr$tCombo', 'No Schedule');
-            formData.append('ctl00_ctrl_MakeTeeTime_ddlRecurr_tCombo_ClientState', '');
-            formData.append('ctl00$ctrl_MakeTeeTime$rdRecurrEnd$tMDateBox', '');
-            formData.append('ctl00$ctrl_MakeTeeTime$rdRecurrEnd$mobileDateBoxSelected', '');
-            formData.append('ctl00$ctrl_MakeTeeTime$drpStatus$tCombo', '');
-            formData.append('ctl00_ctrl_MakeTeeTime_drpStatus_tCombo_ClientState', '');
-            formData.append('ctl00_ctrl_MakeTeeTime_mpOptions_ClientState', '');
-
-            formData.append('ctl00$ctrl_MakeTeeTime$playersUpdated', '1');
-            formData.append('ctl00$ctrl_MakeTeeTime$removePlayerNumber', '0');
-            formData.append('PageX', '0');
-            formData.append('PageY', '0');
-            formData.append('__ASYNCPOST', 'true');
-            formData.append('RadAJAXControlID', 'defaultRAM');
+            this.setSlotFields(formData, slot);
+            formData.set('ctl00$ctrl_MakeTeeTime$drpRoundLength$tCombo', ROUND_LENGTHS[roundLength].text);
+            formData.set('ctl00$ctrl_MakeTeeTime$drpPartySize$tCombo', PARTY_SIZE_NAMES[partySize]);
+
+            // Player 1 is the logged-in member, the rest of the party comes from guest_list
+            const member = options.mainPlayer || this.parseMainPlayer($, bookingFormHtml);
+            if (!member) {
+                return {
+                    success: false,
+                    message: 'Could not determine member for P1 from booking form',
+                    error: 'MEMBER_NOT_FOUND'
+                };
+            }
+
+            if (guests.length < partySize - 1) {
+                return {
+                    success: false,
+                    message: `Party of ${partySize} needs ${partySize - 1} guests but only ${guests.length} configured`,
+                    error: 'NOT_ENOUGH_GUESTS'
+                };
+            }
+
+            const guestPlayers = guests.slice(0, partySize - 1).map(guest => this.guestToPlayer(guest));
+            const missingId = guestPlayers.find(player => !player.playerId);
+            if (missingId) {
+                return {
+                    success: false,
+                    message: `Guest ${missingId.name} has no site player ID`,
+                    error: 'GUEST_MISSING_ID'
+                };
+            }
+
+            const transportOptions = this.resolveTransportOptions(bookingFormHtml);
+
+            const memberPlayer = options.memberTransport
+                ? { ...member, transport: options.memberTransport }
+                : member;
+            const players = [memberPlayer, ...guestPlayers];
+
+            try {
+                players.forEach((player, index) => this.appendPlayer(formData, index + 1, player, transportOptions));
+            } catch (transportError) {
+                return {
+                    success: false,
+                    message: transportError.message,
+                    error: 'TRANSPORT_UNAVAILABLE',
+                    transportOptions
+                };
+            }
+
+            // Comments and notes for the pro shop; left as rendered when not given
+            if (options.comments) this.setTextBoxValue(formData, 'txtComments', options.comments);
+            if (options.notes) this.setTextBoxValue(formData, 'txtNotes', options.notes);
+
+            // Fields the dialog's scripts set on submit
+            formData.set('ctl00$ctrl_MakeTeeTime$playersUpdated', '1');
+            formData.set('ctl00$ctrl_MakeTeeTime$removePlayerNumber', '0');
+            formData.set('PageX', '0');
+            formData.set('PageY', '0');
+            formData.set('__ASYNCPOST', 'true');
+            formData.set('RadAJAXControlID', 'defaultRAM');
 
             // Make the actual booking request
             console.log('Making booking request...');
@@ -639,34 +1196,11 @@ class GolfBookingService {
                 formData.toString(),
                 {
                     params: {
-                        p: 'NetcaddyPop',
-                        tt: 'MakeTeeTime',
-                        NoModResize: '1',
-                        NoNav: '1',
-                        ShowFooter: 'False',
-                        courseid: slot.courseId,
+                        ...this.bookingDialogParams(slot, { partySize, roundLength }),
                         date: encodeURIComponent(slot.date),
-                        time: encodeURIComponent(slot.time),
-                        hole: slot.tee === '1st TEE' ? '1' : '10',
-                        numholes: '0',
-                        xsome: '4',
-                        startletter: ''
+                        time: encodeURIComponent(slot.time)
                     },
-                    headers: {
-                        'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
-                        'X-Requested-With': 'XMLHttpRequest',
-                        'X-Microsoftajax': 'Delta=true',
-                        'Cache-Control': 'no-cache',
-                        'Accept': '*/*',
-                        'Origin': 'https://www.trumpcoltsneck.com',
-                        'Sec-Fetch-Site': 'same-origin',
-                        'Sec-Fetch-Mode': 'cors',
-                        'Sec-Fetch-Dest': 'empty',
-                        'Referer': 'https://www.trumpcoltsneck.com/',
-                        'Accept-Encoding': 'gzip, deflate, br',
-                        'Accept-Language': 'en-US,en;q=0.9',
-                        'Priority': 'u=1, i'
-                    }
+                    headers: this.postbackHeaders()
                 }
             );
 
@@ -810,44 +1344,354 @@ class GolfBookingService {
                 await new Promise(resolve => setTimeout(resolve, retryDelay));
             }
         }
+
+        // Every attempt got a confirmation for something other than this slot
+        return {
+            success: false,
+            message: `Confirmation never matched ${slot.time} on ${slot.date} after ${maxRetries} attempts - check Club Reservations`,
+            error: 'CONFIRMATION_MISMATCH'
+        };
+    }
+
+    // Fetch the member's upcoming reservations from the club's My Tee Times list
+    async getReservations() {
+        const response = await this.client.get(
+            `${this.baseURL}/dialog.aspx`,
+            {
+                params: {
+                    p: 'NetcaddyPop',
+                    tt: 'MyTeeTimes',
+                    NoModResize: '1',
+                    NoNav: '1',
+                    ShowFooter: 'False',
+                    _: Date.now()
+                },
+                headers: {
+                    'Referer': `${this.siteURL}/Default.aspx?p=dynamicmodule&pageid=100076&ssid=100088&vnf=1`
+                }
+            }
+        );
+
+        if (response.data.includes('txtUsername')) {
+            throw new Error('Session expired - got login page');
+        }
+
+        return this.parseReservations(response.data);
+    }
+
+    // Parse reservations; each one has a modify/cancel link carrying the reservation id
+    parseReservations(html) {
+        const $ = cheerio.load(html);
+        const reservations = [];
+
+        $('[onclick*="LaunchModify"], [onclick*="CancelTeeTime"], a[href*="resid="]').each((i, elem) => {
+            const link = `${$(elem).attr('onclick') || ''} ${$(elem).attr('href') || ''}`;
+            const idMatch = link.match(/resid=(\d+)/i) || link.match(/(?:LaunchModify|CancelTeeTime)\(\s*['"]?(\d+)/);
+            if (!idMatch || reservations.some(r => r.reservationId === idMatch[1])) return;
+
+            const row = $(elem).closest('tr, li, [class*="TeeTime"], [class*="Reservation"]');
+            const container = row.length ? row : $(elem).parent();
+            // Space out cells so adjacent columns don't run together
+            const text = cheerio.load((container.html() || '').replace(/</g, ' <')).text().replace(/\s+/g, ' ').trim();
+
+            const dateMatch = text.match(/\d{1,2}\/\d{1,2}\/\d{4}/)
+                || text.match(/(?:Sunday|Monday|Tuesday|Wednesday|Thursday|Friday|Saturday),?\s+[A-Za-z]+\s+\d{1,2},?\s+\d{4}/);
+            const timeMatch = text.match(/\b\d{1,2}:\d{2}\s*(?:AM|PM)/i);
+            const confirmationMatch = text.match(/Confirmation\s*(?:#|No\.?|Number)?\s*:?\s*([A-Z0-9-]+)\b/i);
+            const teeMatch = text.match(/(1st|10th)\s+Tee/i);
+
+            let players = container.find('[class*="Player"], [class*="player"]')
+                .map((j, player) => $(player).text().trim())
+                .get()
+                .filter(Boolean);
+            if (players.length === 0) {
+                const playersMatch = text.match(/Players?\s*:\s*(.+?)(?:Confirmation|Transport|Holes|$)/i);
+                players = playersMatch ? playersMatch[1].split(/\s*[;|]\s*|\s{2,}/).filter(Boolean) : [];
+            }
+
+            reservations.push({
+                reservationId: idMatch[1],
+                date: dateMatch ? dateMatch[0] : null,
+                time: timeMatch ? timeMatch[0].toUpperCase() : null,
+                tee: teeMatch ? `${teeMatch[1]} TEE` : null,
+                players,
+                confirmation: confirmationMatch ? confirmationMatch[1] : null
+            });
+        });
+
+        return reservations;
+    }
+
+    // Query string for the MakeTeeTime dialog of an existing reservation
+    reservationDialogParams(reservationId) {
+        return {
+            p: 'NetcaddyPop',
+            tt: 'MakeTeeTime',
+            NoModResize: '1',
+            NoNav: '1',
+            ShowFooter: 'False',
+            resid: reservationId
+        };
+    }
+
+    // Change an existing reservation: move it to another open slot and/or replace its guests
+    // changes: { slot (open slot from the tee sheet), guests (guest_list rows for P2-P4),
+    //            memberTransport }
+    async modifyReservation(reservationId, changes = {}) {
+        try {
+            console.log(`✏️ Modifying reservation ${reservationId}`);
+
+            const dialogResponse = await this.client.get(
+                `${this.baseURL}/dialog.aspx`,
+                {
+                    params: this.reservationDialogParams(reservationId),
+                    headers: {
+                        'Referer': `${this.siteURL}/Default.aspx?p=dynamicmodule&pageid=100076&ssid=100088&vnf=1`
+                    }
+                }
+            );
+
+            const dialogHtml = dialogResponse.data;
+            if (dialogHtml.includes('txtUsername')) {
+                return { success: false, message: 'Session expired - got login page', error: 'SESSION_EXPIRED' };
+            }
+
+            const formData = this.extractFormFields(dialogHtml);
+            if (!formData.get('__VIEWSTATE')) {
+                return { success: false, message: 'Reservation not found on club site', error: 'RESERVATION_NOT_FOUND' };
+            }
+
+            formData.set('defaultSM', 'defaultSM|ctl00$ctrl_MakeTeeTime$lbBook');
+            formData.set('__EVENTTARGET', 'ctl00$ctrl_MakeTeeTime$lbBook');
+            formData.set('__EVENTARGUMENT', '');
+
+            if (changes.slot) {
+                this.setSlotFields(formData, changes.slot);
+            }
+
+            if (changes.guests) {
+                const member = this.parseMainPlayer(cheerio.load(dialogHtml), dialogHtml);
+                if (!member) {
+                    return { success: false, message: 'Could not determine member for P1 from booking form', error: 'MEMBER_NOT_FOUND' };
+                }
+
+                const guestPlayers = changes.guests.slice(0, 3).map(guest => this.guestToPlayer(guest));
+                const missingId = guestPlayers.find(player => !player.playerId);
+                if (missingId) {
+                    return { success: false, message: `Guest ${missingId.name} has no site player ID`, error: 'GUEST_MISSING_ID' };
+                }
+
+                const transportOptions = this.resolveTransportOptions(dialogHtml);
+                const memberPlayer = changes.memberTransport
+                    ? { ...member, transport: changes.memberTransport }
+                    : member;
+                const players = [memberPlayer, ...guestPlayers];
+
+                try {
+                    players.forEach((player, index) => this.appendPlayer(formData, index + 1, player, transportOptions));
+                } catch (transportError) {
+                    return { success: false, message: transportError.message, error: 'TRANSPORT_UNAVAILABLE', transportOptions };
+                }
+
+                for (let position = players.length + 1; position <= 4; position++) {
+                    this.clearPlayer(formData, position);
+                }
+                formData.set('ctl00$ctrl_MakeTeeTime$drpPartySize$tCombo', PARTY_SIZE_NAMES[players.length]);
+                formData.set('ctl00$ctrl_MakeTeeTime$playersUpdated', '1');
+            }
+
+            formData.set('__ASYNCPOST', 'true');
+            formData.set('RadAJAXControlID', 'defaultRAM');
+
+            const response = await this.client.post(
+                `${this.baseURL}/dialog.aspx`,
+                formData.toString(),
+                {
+                    params: this.reservationDialogParams(reservationId),
+                    headers: this.postbackHeaders()
+                }
+            );
+
+            const responseText = response.data;
+            if (responseText.includes('RESERVATION CONFIRMATION')) {
+                console.log(`✅ Reservation ${reservationId} updated`);
+                return { success: true, message: 'Reservation updated', slot: changes.slot || null };
+            }
+
+            if (responseText.includes('There is not another available reservation at this timeslot')) {
+                return { success: false, message: 'New slot is no longer available', error: 'SLOT_UNAVAILABLE' };
+            }
+
+            console.log(`❌ Change to reservation ${reservationId} not confirmed`);
+            return {
+                success: false,
+                message: 'Club site did not confirm the change',
+                error: 'MODIFY_FAILED',
+                response: responseText.substring(0, 500)
+            };
+        } catch (error) {
+            console.error(`❌ Error modifying reservation ${reservationId}:`, error.message);
+            return { success: false, message: error.message, error: 'MODIFY_FAILED' };
+        }
+    }
+
+    // Cancel an existing reservation through the dialog's Cancel postback
+    async cancelReservation(reservationId) {
+        try {
+            console.log(`🗑️ Cancelling reservation ${reservationId}`);
+
+            const dialogResponse = await this.client.get(
+                `${this.baseURL}/dialog.aspx`,
+                {
+                    params: this.reservationDialogParams(reservationId),
+                    headers: {
+                        'Referer': `${this.siteURL}/Default.aspx?p=dynamicmodule&pageid=100076&ssid=100088&vnf=1`
+                    }
+                }
+            );
+
+            if (dialogResponse.data.includes('txtUsername')) {
+                return { success: false, message: 'Session expired - got login page', error: 'SESSION_EXPIRED' };
+            }
+
+            const formData = this.extractFormFields(dialogResponse.data);
+            if (!formData.get('__VIEWSTATE')) {
+                return { success: false, message: 'Reservation not found on club site', error: 'RESERVATION_NOT_FOUND' };
+            }
+
+            formData.set('defaultSM', 'defaultSM|ctl00$ctrl_MakeTeeTime$lbCancel');
+            formData.set('__EVENTTARGET', 'ctl00$ctrl_MakeTeeTime$lbCancel');
+            formData.set('__EVENTARGUMENT', '');
+            formData.set('__ASYNCPOST', 'true');
+            formData.set('RadAJAXControlID', 'defaultRAM');
+
+            const response = await this.client.post(
+                `${this.baseURL}/dialog.aspx`,
+                formData.toString(),
+                {
+                    params: this.reservationDialogParams(reservationId),
+                    headers: this.postbackHeaders()
+                }
+            );
+
+            const responseText = response.data;
+            if (/CANCELLATION CONFIRMATION|has been cancel+ed|successfully cancel+ed/i.test(responseText)) {
+                console.log(`✅ Reservation ${reservationId} cancelled`);
+                return { success: true, message: 'Reservation cancelled' };
+            }
+
+            console.log(`❌ Cancellation of ${reservationId} not confirmed`);
+            return {
+                success: false,
+                message: 'Club site did not confirm the cancellation',
+                error: 'CANCEL_FAILED',
+                response: responseText.substring(0, 500)
+            };
+        } catch (error) {
+            console.error(`❌ Error cancelling reservation ${reservationId}:`, error.message);
+            return { success: false, message: error.message, error: 'CANCEL_FAILED' };
+        }
+    }
+
+    // Ordered { start, end } windows to search; without any, the single preferredTime-maxTime range
+    timeWindowsFor(preferredTime, maxTime, timeWindows) {
+        return timeWindows?.length ? timeWindows : [{ start: preferredTime, end: maxTime }];
+    }
+
+    describeTimeWindows(windows) {
+        return windows.map(window => `${window.start}-${window.end}`).join(', ');
+    }
+
+    // Ranked slots window by window: every slot in the first window before any in the second.
+    // Distance is measured from the first window's start (the booking's preferred time) in all of them
+    rankSlotsInWindows(candidateSlots, windows, options = {}) {
+        const ranked = [];
+        const targetTimeMin = this.timeToMinutes(windows[0].start);
+        for (const window of windows) {
+            const windowSlots = this.rankSlots(
+                candidateSlots,
+                this.timeToMinutes(window.start),
+                this.timeToMinutes(window.end),
+                { ...options, targetTimeMin }
+            );
+            ranked.push(...windowSlots.filter(slot => !ranked.includes(slot)));
+        }
+        return ranked;
+    }
+
+    // No-slots message for a search (kept as "No available slots ..." for the cancellation watcher)
+    noSlotsMessage(windows) {
+        if (windows.length === 1) {
+            return `No available slots between ${windows[0].start} and ${windows[0].end}`;
+        }
+        return `No available slots in ${this.describeTimeWindows(windows)}`;
+    }
+
+    // Book the first slot of a ranked list that we don't lose to another member.
+    // Only SLOT_UNAVAILABLE falls through; each loss is returned in lostSlots.
+    async bookFirstAvailable(rankedSlots, guests, options = {}) {
+        const lostSlots = [];
+        let result = null;
+
+        for (const slot of rankedSlots.slice(0, MAX_SLOT_FALLTHROUGH + 1)) {
+            console.log(`Attempting to book: ${slot.time} (${slot.tee}) with ${slot.availableSpots} spots`);
+            result = await this.makeReservation(slot, guests, options);
+
+            if (result?.error !== 'SLOT_UNAVAILABLE') {
+                return { ...result, lostSlots };
+            }
+
+            console.log(`🏁 Lost ${slot.time} to another booking, trying next slot`);
+            lostSlots.push({ time: slot.time, tee: slot.tee, availableSpots: slot.availableSpots, message: result.message });
+        }
+
+        return {
+            ...result,
+            message: `Lost the race for ${lostSlots.length} slot(s): ${lostSlots.map(s => s.time).join(', ')}`,
+            lostSlots
+        };
     }
 
     // Main function to find and book best available slot
-    async findAndBookBestSlot(date, preferredTime, maxTime, guests, fastMode = false) {
+    // options are passed through to makeReservation; partySize, roundLength and
+    // teePreference also decide which slots are candidates (see filterCandidateSlots),
+    // rankingStrategy the order they are tried in (see rankSlots).
+    // options.timeWindows ([{ start, end }], in priority order) replaces the preferredTime-maxTime range
+    async findAndBookBestSlot(date, preferredTime, maxTime, guests, fastMode = false, options = {}) {
+        const partySize = options.partySize || 4;
+        const roundLength = options.roundLength || 18;
+        const windows = this.timeWindowsFor(preferredTime, maxTime, options.timeWindows);
+
         try {
             if (fastMode) {
                 // ⚡ SPEED MODE: Minimal logging, instant booking
                 const teeSheet = await this.getTeeSheet(date);
                 if (!teeSheet.available) {
-                    return { success: false, message: teeSheet.message || 'Could not get tee sheet' };
+                    return {
+                        success: false,
+                        message: teeSheet.message || 'Could not get tee sheet',
+                        countdown: teeSheet.countdown,
+                        opensAt: teeSheet.opensAt
+                    };
                 }
 
-                const preferredTimeMin = this.timeToMinutes(preferredTime);
-                const maxTimeMin = this.timeToMinutes(maxTime);
-
-                // Fast scan with proper priority: 4→3→2→1 spots
-                for (let priority = 4; priority >= 1; priority--) {
-                    for (const slot of teeSheet.slots) {
-                        if (!slot.canReserve || slot.availableSpots !== priority) continue;
-                        const slotMin = this.timeToMinutes(slot.time);
-                        const inRange = slotMin >= preferredTimeMin && slotMin <= maxTimeMin;
-                        
-                        if (inRange) {
-                            // BOOK IMMEDIATELY - first slot of highest available priority
-                            console.log(`⚡ FAST: Booking ${slot.time} (${slot.availableSpots}/4 spots, Priority ${priority})`);
-                            return await this.makeReservation(slot, guests);
-                        }
-                    }
+                const candidateSlots = this.filterCandidateSlots(teeSheet.slots, options);
+                const rankedSlots = this.rankSlotsInWindows(candidateSlots, windows, options);
+
+                if (rankedSlots.length > 0) {
+                    // BOOK IMMEDIATELY - best ranked first, next slot if we lose the race
+                    console.log(`⚡ FAST: Booking ${rankedSlots[0].time} (${rankedSlots[0].availableSpots}/4 spots)`);
+                    return await this.bookFirstAvailable(rankedSlots, guests, options);
                 }
 
                 return {
                     success: false,
-                    message: `No available slots between ${preferredTime} and ${maxTime}`,
+                    message: this.noSlotsMessage(windows),
                     totalAvailable: teeSheet.slots.length
                 };
             }
 
-            console.log(`Looking for slots on ${date} between ${preferredTime} and ${maxTime}`);
+            console.log(`Looking for slots on ${date} in ${this.describeTimeWindows(windows)}`);
 
             // Get tee sheet
             const teeSheet = await this.getTeeSheet(date);
@@ -856,82 +1700,24 @@ class GolfBookingService {
                 return {
                     success: false,
                     message: teeSheet.message,
-                    countdown: teeSheet.countdown
+                    countdown: teeSheet.countdown,
+                    opensAt: teeSheet.opensAt
                 };
             }
 
-            // Filter available slots by time preference
-            const preferredTimeMin = this.timeToMinutes(preferredTime);
-            const maxTimeMin = this.timeToMinutes(maxTime);
-
-            console.log(`Time range in minutes: ${preferredTimeMin} to ${maxTimeMin}`);
-
-            // Try to find slots with priority: 4 spots > 3 spots > 2 spots > 1 spot
-            let availableSlots = [];
-            let slotsType = '';
-
-            // Priority 1: Try 4-person slots first
-            availableSlots = teeSheet.slots.filter(slot => {
-                if (!slot.canReserve || slot.availableSpots !== 4) return false;
-                const slotMin = this.timeToMinutes(slot.time);
-                const inRange = slotMin >= preferredTimeMin && slotMin <= maxTimeMin;
-                console.log(`Slot ${slot.time} (${slotMin} min, ${slot.availableSpots}/4 spots): ${inRange ? 'PERFECT MATCH' : 'OUT OF RANGE'}`);
-                return inRange;
-            });
-
-            if (availableSlots.length > 0) {
-                slotsType = '4-person (full)';
-                console.log(`✅ Found ${availableSlots.length} perfect 4-person slots`);
-            } else {
-                // Priority 2: Try 3-person slots
-                availableSlots = teeSheet.slots.filter(slot => {
-                    if (!slot.canReserve || slot.availableSpots !== 3) return false;
-                    const slotMin = this.timeToMinutes(slot.time);
-                    const inRange = slotMin >= preferredTimeMin && slotMin <= maxTimeMin;
-                    console.log(`Slot ${slot.time} (${slotMin} min, ${slot.availableSpots}/4 spots): ${inRange ? 'GOOD MATCH' : 'OUT OF RANGE'}`);
-                    return inRange;
-                });
-
-                if (availableSlots.length > 0) {
-                    slotsType = '3-person';
-                    console.log(`⚡ Found ${availableSlots.length} good 3-person slots`);
-                } else {
-                    // Priority 3: Try 2-person slots
-                    availableSlots = teeSheet.slots.filter(slot => {
-                        if (!slot.canReserve || slot.availableSpots !== 2) return false;
-                        const slotMin = this.timeToMinutes(slot.time);
-                        const inRange = slotMin >= preferredTimeMin && slotMin <= maxTimeMin;
-                        console.log(`Slot ${slot.time} (${slotMin} min, ${slot.availableSpots}/4 spots): ${inRange ? 'OK MATCH' : 'OUT OF RANGE'}`);
-                        return inRange;
-                    });
-
-                    if (availableSlots.length > 0) {
-                        slotsType = '2-person';
-                        console.log(`⚠️ Found ${availableSlots.length} partial 2-person slots`);
-                    } else {
-                        // Priority 4: Try 1-person slots (last resort)
-                        availableSlots = teeSheet.slots.filter(slot => {
-                            if (!slot.canReserve || slot.availableSpots !== 1) return false;
-                            const slotMin = this.timeToMinutes(slot.time);
-                            const inRange = slotMin >= preferredTimeMin && slotMin <= maxTimeMin;
-                            console.log(`Slot ${slot.time} (${slotMin} min, ${slot.availableSpots}/4 spots): ${inRange ? 'LAST RESORT' : 'OUT OF RANGE'}`);
-                            return inRange;
-                        });
+            // Only slots with room for the whole party that allow the round length and tee
+            const candidateSlots = this.filterCandidateSlots(teeSheet.slots, options);
+            console.log(`${candidateSlots.length} of ${teeSheet.slots.length} slots fit a party of ${partySize} for ${roundLength} holes`);
 
-                        if (availableSlots.length > 0) {
-                            slotsType = '1-person (last resort)';
-                            console.log(`🚨 Found ${availableSlots.length} single spots (last resort)`);
-                        }
-                    }
-                }
-            }
-
-            console.log(`Found ${availableSlots.length} ${slotsType} slots in preferred time range`);
+            // Rank each window's slots by the booking's strategy (most spots, closest, earliest),
+            // windows in priority order
+            const rankedSlots = this.rankSlotsInWindows(candidateSlots, windows, options);
+            console.log(`Found ${rankedSlots.length} slots in ${windows.length} time window(s) (${options.rankingStrategy || 'most_spots'} ranking)`);
 
-            if (availableSlots.length === 0) {
+            if (rankedSlots.length === 0) {
                 return {
                     success: false,
-                    message: `No available slots between ${preferredTime} and ${maxTime}`,
+                    message: this.noSlotsMessage(windows),
                     totalAvailable: teeSheet.slots.length,
                     allSlots: teeSheet.slots.map(s => ({
                         time: s.time,
@@ -940,13 +1726,8 @@ class GolfBookingService {
                 };
             }
 
-            // Try to book the first available slot
-            const targetSlot = availableSlots[0];
-            console.log(`Attempting to book: ${targetSlot.time} with ${targetSlot.availableSpots} spots`);
-
-            const result = await this.makeReservation(targetSlot, guests);
-
-            return result;
+            // Book the best slot, falling through to the next ones if we lose the race
+            return await this.bookFirstAvailable(rankedSlots, guests, options);
         } catch (error) {
             console.error('findAndBookBestSlot error:', error);
             return {
@@ -0,0 +1,169 @@
+// bookingWindowPolicy.js - When the club opens a date for booking
+// Every "opens N days before at HH:MM" calculation and the launch cron times come from here.
+// Dates follow getCurrentEDT's convention: wall-clock time in the club's time zone.
+import { parseJsonColumn } from './jsonColumns.js';
+
+export const DEFAULT_BOOKING_WINDOW = {
+    leadDays: 7,
+    openTime: '06:30:00',
+    timeZone: 'America/New_York',
+    dayOverrides: {} // play weekday (0 = Sunday) -> { leadDays?, openTime? }
+};
+
+// The zone this process runs in (TZ). booking_opens_at is stored as its wall-clock time and
+// compared with MySQL NOW(), so the club's time zone can only be one that keeps the same clock
+export function getSystemTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+// Do two zones show the same time all year (e.g. America/New_York and US/Eastern)?
+// Checked twice a month, which catches any daylight saving difference
+export function isSameTimeZone(zoneA, zoneB, year = new Date().getFullYear()) {
+    for (let month = 0; month < 12; month++) {
+        for (const day of [1, 15]) {
+            const instant = new Date(Date.UTC(year, month, day, 12));
+            if (instant.toLocaleString('en-US', { timeZone: zoneA }) !== instant.toLocaleString('en-US', { timeZone: zoneB })) {
+                return false;
+            }
+        }
+    }
+    return true;
+}
+
+class BookingWindowPolicy {
+    constructor(pool) {
+        this.pool = pool;
+        this.policy = { ...DEFAULT_BOOKING_WINDOW };
+    }
+
+    // Load the saved policy; it is kept in memory, so call again after saving
+    async load() {
+        try {
+            const [rows] = await this.pool.query('SELECT * FROM booking_window_policy WHERE user_id = 1');
+
+            if (rows.length > 0) {
+                this.policy = {
+                    leadDays: rows[0].lead_days,
+                    openTime: rows[0].open_time,
+                    timeZone: rows[0].time_zone,
+                    dayOverrides: parseJsonColumn(rows[0].day_overrides, {})
+                };
+            }
+        } catch (error) {
+            console.error('Error loading booking window policy, using defaults:', error.message);
+        }
+
+        if (!isSameTimeZone(this.policy.timeZone, getSystemTimeZone())) {
+            console.log(`⚠️ Booking window time zone ${this.policy.timeZone} differs from the server's TZ (${getSystemTimeZone()}); opening times will be off`);
+        }
+
+        return this.policy;
+    }
+
+    async save(policy) {
+        await this.pool.query(
+            `INSERT INTO booking_window_policy (user_id, lead_days, open_time, time_zone, day_overrides)
+             VALUES (1, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE lead_days = VALUES(lead_days), open_time = VALUES(open_time),
+                 time_zone = VALUES(time_zone), day_overrides = VALUES(day_overrides)`,
+            [policy.leadDays, policy.openTime, policy.timeZone, JSON.stringify(policy.dayOverrides)]
+        );
+
+        this.policy = policy;
+    }
+
+    get timeZone() {
+        return this.policy.timeZone;
+    }
+
+    // Current wall-clock time at the club
+    now() {
+        return this.toWallClock(new Date());
+    }
+
+    // The club's wall-clock time at a real instant (the opposite of toInstant)
+    toWallClock(instant) {
+        return new Date(instant.toLocaleString('en-US', { timeZone: this.policy.timeZone }));
+    }
+
+    // Lead days and open time for a play date's weekday
+    getRule(dayOfWeek) {
+        const override = this.policy.dayOverrides[dayOfWeek] || {};
+        return {
+            leadDays: override.leadDays ?? this.policy.leadDays,
+            openTime: override.openTime || this.policy.openTime
+        };
+    }
+
+    getMaxLeadDays() {
+        return Math.max(...[0, 1, 2, 3, 4, 5, 6].map(day => this.getRule(day).leadDays));
+    }
+
+    // When booking opens for a play date
+    getOpensAt(targetDate) {
+        const { leadDays, openTime } = this.getRule(targetDate.getDay());
+        const [hours, minutes, seconds] = openTime.split(':').map(Number);
+
+        const opensAt = new Date(targetDate);
+        opensAt.setDate(opensAt.getDate() - leadDays);
+        opensAt.setHours(hours, minutes, seconds || 0, 0);
+        return opensAt;
+    }
+
+    // The real instant of a club wall-clock time, for timers that run on the system clock
+    toInstant(wallClock) {
+        const zoneOffset = Math.round((this.now() - Date.now()) / 60000) * 60000;
+        return new Date(wallClock.getTime() - zoneOffset);
+    }
+
+    isOpen(targetDate) {
+        return this.now() >= this.getOpensAt(targetDate);
+    }
+
+    // Play dates whose booking opens today, optionally only those opening at openTime
+    getDatesOpeningToday(openTime = null) {
+        const today = this.now();
+        const dates = [];
+
+        for (const leadDays of new Set([0, 1, 2, 3, 4, 5, 6].map(day => this.getRule(day).leadDays))) {
+            const date = new Date(today);
+            date.setDate(date.getDate() + leadDays);
+            date.setHours(12, 0, 0, 0);
+
+            const rule = this.getRule(date.getDay());
+            if (rule.leadDays === leadDays && (!openTime || rule.openTime === openTime)) {
+                dates.push(date);
+            }
+        }
+
+        return dates;
+    }
+
+    // Distinct open times, one launch schedule each
+    getOpenTimes() {
+        return [...new Set([0, 1, 2, 3, 4, 5, 6].map(day => this.getRule(day).openTime))];
+    }
+
+    // node-cron expression (with seconds) for offsetSeconds around an open time,
+    // firing every second for spanSeconds more
+    getCronExpression(openTime, offsetSeconds = 0, spanSeconds = 0) {
+        const [hours, minutes, seconds] = openTime.split(':').map(Number);
+        const total = ((hours * 3600 + minutes * 60 + (seconds || 0) + offsetSeconds) % 86400 + 86400) % 86400;
+        const second = total % 60;
+        const lastSecond = Math.min(second + spanSeconds, 59);
+
+        return `${lastSecond > second ? `${second}-${lastSecond}` : second} ${Math.floor(total / 60) % 60} ${Math.floor(total / 3600)} * * *`;
+    }
+
+    // "7 days ahead at 6:30 AM America/New_York" for logs and the UI
+    describe() {
+        const [hours, minutes] = this.policy.openTime.split(':').map(Number);
+        const time = `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${hours < 12 ? 'AM' : 'PM'}`;
+        const overrides = Object.keys(this.policy.dayOverrides).length;
+
+        return `${this.policy.leadDays} days ahead at ${time} ${this.policy.timeZone}` +
+            (overrides > 0 ? ` (${overrides} day override${overrides > 1 ? 's' : ''})` : '');
+    }
+}
+
+export default BookingWindowPolicy;
@@ -0,0 +1,475 @@
+// cancellationWatcher.js - Keep checking tee sheets: book openings on full dates and
+// upgrade "keep improving" bookings when a better slot appears
+import { parseJsonColumns } from './jsonColumns.js';
+
+// Play times most members want; cancellations there go quickly, so poll faster
+const POPULAR_START_MINUTES = 7 * 60;
+const POPULAR_END_MINUTES = 11 * 60;
+
+// Late cancellations are most common in the last two days before play
+const LAST_MINUTE_HOURS = 48;
+
+const DEFAULT_WATCH_SETTINGS = {
+    interval_minutes: 10,
+    fast_interval_minutes: 2,
+    cutoff_hours: 12
+};
+
+class CancellationWatcher {
+    // hooks: { processBooking(booking, userSettings), logBookingAttempt(id, action, status, message, data),
+    //          getBookingGuests(preferenceId), recordBookedSlot(preferenceId, slot), authenticate() }
+    constructor(pool, bookingService, weekendAutomation, recurringAutomation, hooks) {
+        this.pool = pool;
+        this.bookingService = bookingService;
+        this.weekendAutomation = weekendAutomation;
+        this.recurringAutomation = recurringAutomation;
+        this.processBooking = hooks.processBooking;
+        this.logBookingAttempt = hooks.logBookingAttempt;
+        this.getBookingGuests = hooks.getBookingGuests;
+        this.recordBookedSlot = hooks.recordBookedSlot;
+        this.authenticate = hooks.authenticate;
+        this.nextPollAt = new Map(); // watch key -> timestamp of next poll
+        this.pollCounts = new Map(); // watch key -> polls so far
+        this.tickInProgress = false;
+    }
+
+    // A booking attempt that failed only because the time range is full
+    isNoSlotsResult(result) {
+        const message = result?.message || result?.error || '';
+        return /No (available )?slots/i.test(message);
+    }
+
+    // Get watch settings row (defaults if none yet)
+    async getSettings() {
+        try {
+            const [settings] = await this.pool.query(
+                'SELECT * FROM cancellation_watch_settings WHERE user_id = 1'
+            );
+            return { ...DEFAULT_WATCH_SETTINGS, ...(settings[0] || {}) };
+        } catch (error) {
+            console.error('Error loading watch settings:', error);
+            return { ...DEFAULT_WATCH_SETTINGS };
+        }
+    }
+
+    // When play starts for a watched date (first time in its range)
+    getPlayStart(dateStr, preferredTime) {
+        const [hours, minutes] = preferredTime.split(':').map(Number);
+        const playStart = new Date(`${dateStr}T12:00:00`);
+        playStart.setHours(hours, minutes, 0, 0);
+        return playStart;
+    }
+
+    // Minutes between polls: fast near popular times and close to the play date
+    getPollIntervalMinutes(target, settings, now) {
+        const startMinutes = this.toMinutes(target.preferredTime);
+        const endMinutes = this.toMinutes(target.maxTime);
+        const coversPopularTimes = startMinutes < POPULAR_END_MINUTES && endMinutes > POPULAR_START_MINUTES;
+        const hoursUntilPlay = (target.playStart - now) / (60 * 60 * 1000);
+
+        if (coversPopularTimes || hoursUntilPlay <= LAST_MINUTE_HOURS) {
+            return settings.fast_interval_minutes;
+        }
+        return settings.interval_minutes;
+    }
+
+    // Earliest start and latest end across a target's time windows
+    windowSpan(windows) {
+        return {
+            preferredTime: windows.map(window => window.start).sort()[0],
+            maxTime: windows.map(window => window.end).sort().reverse()[0]
+        };
+    }
+
+    toMinutes(timeStr) {
+        const [hours, minutes] = timeStr.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    // Manual bookings moved to 'watching' after a "no slots" result
+    async getManualTargets() {
+        const [bookings] = await this.pool.query(
+            `SELECT *, DATE_FORMAT(date, '%Y-%m-%d') AS date_key FROM booking_preferences
+             WHERE status = 'watching' AND date >= CURDATE()`
+        );
+
+        return bookings.map(parseJsonColumns).map(booking => {
+            const span = this.windowSpan(
+                this.bookingService.timeWindowsFor(booking.preferred_time, booking.max_time, booking.time_windows)
+            );
+            return {
+                key: `manual:${booking.id}`,
+                type: 'manual',
+                label: `booking ${booking.id} (${booking.date_key})`,
+                booking,
+                ...span,
+                playStart: this.getPlayStart(booking.date_key, span.preferredTime)
+            };
+        });
+    }
+
+    // Booked dates with keep-improving on, compared against the slot they hold
+    async getUpgradeTargets() {
+        const [bookings] = await this.pool.query(
+            `SELECT *, DATE_FORMAT(date, '%Y-%m-%d') AS date_key FROM booking_preferences
+             WHERE status = 'booked' AND keep_improving = 1 AND booked_time IS NOT NULL AND date >= CURDATE()`
+        );
+
+        return bookings.map(parseJsonColumns).map(booking => ({
+            key: `upgrade:${booking.id}`,
+            type: 'upgrade',
+            label: `upgrade of booking ${booking.id} (${booking.date_key})`,
+            booking,
+            preferredTime: booking.preferred_time,
+            maxTime: booking.max_time,
+            playStart: this.getPlayStart(booking.date_key, booking.preferred_time)
+        }));
+    }
+
+    // A time's place in a booking's windows: the first window holding it and the distance from
+    // that window's start; null outside every window
+    windowRank(minutes, windows) {
+        const index = windows.findIndex(window =>
+            minutes >= this.toMinutes(window.start) && minutes <= this.toMinutes(window.end));
+        if (index === -1) return null;
+        return { window: index, distance: minutes - this.toMinutes(windows[index].start) };
+    }
+
+    // Whether rank a comes before rank b: an earlier window, or the same window and closer to its start
+    // (orEqual also accepts the same place)
+    ranksBefore(a, b, orEqual = false) {
+        if (a.window !== b.window) return a.window < b.window;
+        return orEqual ? a.distance <= b.distance : a.distance < b.distance;
+    }
+
+    // Pick a slot that beats the held one, inside the booking's time windows: earlier in them without
+    // fewer open spots, or more open spots without being later - so an upgrade can never be undone by the next one
+    findBetterSlot(booking, slots, options) {
+        const windows = this.bookingService.timeWindowsFor(booking.preferred_time, booking.max_time, booking.time_windows);
+        const held = {
+            ...(this.windowRank(this.toMinutes(booking.booked_time), windows) || { window: Infinity, distance: Infinity }),
+            spots: booking.booked_spots || 0
+        };
+
+        const better = this.bookingService.filterCandidateSlots(slots, options)
+            .map(slot => {
+                const minutes = this.bookingService.timeToMinutes(slot.time);
+                return { slot, minutes, rank: this.windowRank(minutes, windows) };
+            })
+            .filter(({ slot, minutes, rank }) => {
+                if (!rank) return false;
+                if (this.bookingService.minutesToTime(minutes) === booking.booked_time && slot.tee === booking.booked_tee) return false;
+
+                const closer = this.ranksBefore(rank, held) && slot.availableSpots >= held.spots;
+                const roomier = slot.availableSpots > held.spots && this.ranksBefore(rank, held, true);
+                return closer || roomier;
+            })
+            .sort((a, b) => a.rank.window - b.rank.window || a.rank.distance - b.rank.distance ||
+                b.slot.availableSpots - a.slot.availableSpots);
+
+        return better[0] ? { slot: better[0].slot, closer: this.ranksBefore(better[0].rank, held) } : null;
+    }
+
+    // Open weekend days and holidays where automation found no slots and nothing is booked yet
+    async getWeekendTargets() {
+        if (!await this.weekendAutomation.isEnabled()) return [];
+
+        const targets = [];
+        const days = await this.weekendAutomation.getAutomationDays();
+        const weekendSettings = await this.weekendAutomation.getSettings();
+        const blackouts = await this.weekendAutomation.getBlackouts();
+        const fallbackEnabled = this.weekendAutomation.isFallbackEnabled(weekendSettings);
+
+        for (const day of days) {
+            if (!day.bookingOpen || day.isBooked) continue;
+            if (this.weekendAutomation.findBlackout(day.dateObj, blackouts)) continue;
+            if (!await this.weekendAutomation.hasFailedAttempt(day.dateObj)) continue;
+            if (!await this.weekendAutomation.getBookingReason(weekendSettings, day.dateObj)) continue;
+
+            // A fallback day already booked for this long weekend replaces it
+            if (fallbackEnabled && await this.weekendAutomation.hasLongWeekendBooking(day.dateObj)) continue;
+
+            const span = this.windowSpan(this.weekendAutomation.getTimeWindows(weekendSettings, day.dateObj));
+            targets.push({
+                key: `weekend:${day.date}`,
+                type: 'weekend',
+                label: `${day.holiday ? 'holiday' : 'weekend'} ${day.date}`,
+                dateObj: day.dateObj,
+                ...span,
+                playStart: this.getPlayStart(day.date, span.preferredTime)
+            });
+        }
+
+        return targets;
+    }
+
+    // Open recurring-rule dates where the rule found no slots and nothing is booked yet
+    async getRecurringTargets() {
+        const targets = [];
+        const rules = await this.recurringAutomation.getRules(true);
+        const blackouts = await this.weekendAutomation.getBlackouts();
+
+        for (const rule of rules) {
+            for (const date of this.recurringAutomation.getRuleDates(rule, this.weekendAutomation.bookingWindow.getMaxLeadDays())) {
+                if (!this.weekendAutomation.isBookingWindowOpen(date)) continue;
+                if (this.weekendAutomation.findBlackout(date, blackouts)) continue;
+                if (await this.weekendAutomation.hasExistingBooking(date)) continue;
+                if (!await this.weekendAutomation.hasFailedAttempt(date)) continue;
+
+                const dateKey = this.weekendAutomation.formatDate(date);
+                const span = this.windowSpan(rule.time_windows);
+                targets.push({
+                    key: `recurring:${rule.id}:${dateKey}`,
+                    type: 'recurring',
+                    label: `${rule.name} ${dateKey}`,
+                    rule,
+                    dateObj: date,
+                    ...span,
+                    playStart: this.getPlayStart(dateKey, span.preferredTime)
+                });
+            }
+        }
+
+        return targets;
+    }
+
+    // Stop watching a manual booking once its cutoff has passed
+    async endManualWatch(target) {
+        await this.pool.query(
+            'UPDATE booking_preferences SET status = ? WHERE id = ? AND status = ?',
+            ['failed', target.booking.id, 'watching']
+        );
+        await this.logBookingAttempt(target.booking.id, 'watch_ended', 'failed',
+            'Cancellation watch ended at cutoff without an opening');
+    }
+
+    // Poll one manual booking: a full booking attempt, logged to booking_logs
+    async pollManual(target, poll) {
+        const { booking } = target;
+
+        const [lockResult] = await this.pool.query(
+            'UPDATE booking_preferences SET status = ?, last_attempt = NOW() WHERE id = ? AND status = ?',
+            ['processing', booking.id, 'watching']
+        );
+        if (lockResult.affectedRows === 0) return;
+
+        // Set once the poll's outcome is written; until then a failure puts the booking back
+        // to 'watching', or it would stay 'processing' and never be polled again
+        let settled = false;
+        try {
+            const [userSettings] = await this.pool.query('SELECT * FROM user_settings WHERE id = 1');
+            if (!userSettings[0]?.username) return;
+
+            const result = await this.processBooking(booking, userSettings[0]);
+
+            if (result.success) {
+                await this.pool.query(
+                    'UPDATE booking_preferences SET status = ?, attempts = attempts + 1, last_attempt = NOW() WHERE id = ?',
+                    ['booked', booking.id]
+                );
+                settled = true;
+                await this.recordBookedSlot(booking.id, result.slot);
+                await this.logBookingAttempt(booking.id, 'watch_poll', 'success',
+                    `Cancellation opened a slot - booked ${result.slot?.time || 'Unknown time'} (poll ${poll})`, result);
+                console.log(`✅ Watch booked ${target.label} at ${result.slot?.time}`);
+                return;
+            }
+
+            // Keep watching on "no slots"; anything else goes back to the regular retry loop
+            const nextStatus = this.isNoSlotsResult(result) ? 'watching' : 'pending';
+            await this.pool.query(
+                'UPDATE booking_preferences SET status = ?, attempts = attempts + 1, last_attempt = NOW() WHERE id = ?',
+                [nextStatus, booking.id]
+            );
+            settled = true;
+            await this.logBookingAttempt(booking.id, 'watch_poll', nextStatus === 'watching' ? 'info' : 'failed',
+                `Watch poll ${poll}: ${result.message || result.error || 'Unknown error'}`, result);
+        } finally {
+            if (!settled) {
+                await this.pool.query(
+                    'UPDATE booking_preferences SET status = ? WHERE id = ? AND status = ?',
+                    ['watching', booking.id, 'processing']
+                ).catch(error => console.error(`Could not put ${target.label} back to watching:`, error.message));
+            }
+        }
+    }
+
+    // Poll one weekend date; executeWeekendBooking logs the poll to weekend_booking_history
+    async pollWeekend(target) {
+        const result = await this.weekendAutomation.executeWeekendBooking(target.dateObj, 'watch');
+        if (result?.success) {
+            console.log(`✅ Watch booked ${target.label} at ${result.slot?.time}`);
+        }
+    }
+
+    // Poll one recurring-rule date; logged to weekend_booking_history like weekend dates
+    async pollRecurring(target) {
+        const result = await this.recurringAutomation.bookRuleDate(target.rule, target.dateObj, 'watch');
+        if (result?.success) {
+            console.log(`✅ Watch booked ${target.label} at ${result.slot?.time}`);
+        }
+    }
+
+    // Run a club site call on the shared session, logging in only when there is no session
+    // or it has expired
+    async withSession(call) {
+        if (!this.bookingService.sessionToken) {
+            await this.authenticate();
+        }
+
+        try {
+            return await call();
+        } catch (error) {
+            if (!/Session expired/i.test(error.message)) throw error;
+            await this.authenticate();
+            return await call();
+        }
+    }
+
+    // Book a better slot for a held booking, then cancel the one it replaces
+    async pollUpgrade(target) {
+        const { booking } = target;
+        const bookingDate = new Date(`${booking.date_key}T12:00:00`);
+        const options = {
+            partySize: booking.party_size || 4,
+            roundLength: booking.round_length || 18,
+            teePreference: booking.tee_preference || 'either',
+            memberTransport: booking.member_transport || undefined,
+            comments: booking.comments || '',
+            notes: booking.notes || ''
+        };
+
+        const teeSheet = await this.withSession(() => this.bookingService.getTeeSheet(bookingDate));
+        if (!teeSheet.available) return;
+
+        const better = this.findBetterSlot(booking, teeSheet.slots, options);
+        if (!better) return;
+        const betterSlot = better.slot;
+
+        const heldTime = this.bookingService.timeToMinutes(booking.booked_time);
+        const reasons = [];
+        if (better.closer) {
+            reasons.push('closer to preferred time');
+        }
+        if (betterSlot.availableSpots > (booking.booked_spots || 0)) {
+            reasons.push('more open spots');
+        }
+        const move = `${booking.booked_time} (${booking.booked_spots ?? '?'} open) → ${betterSlot.time} (${betterSlot.availableSpots} open)`;
+
+        console.log(`⬆️ Upgrade found for booking ${booking.id}: ${move}`);
+
+        // Reservations held before booking the upgrade - the one to release must be among them
+        const heldReservations = await this.bookingService.getReservations();
+
+        const guests = await this.getBookingGuests(booking.id);
+        const result = await this.bookingService.makeReservation(betterSlot, guests, options);
+
+        if (!result?.success) {
+            await this.logBookingAttempt(booking.id, 'upgrade', 'failed',
+                `Could not book upgrade ${move}: ${result.message || result.error || 'Unknown error'}`, result);
+            return;
+        }
+
+        // Release the reservation we just replaced: same date, time and tee, and held before the upgrade.
+        // Ambiguous matches are left for the member to cancel
+        const originals = heldReservations.filter(reservation =>
+            reservation.date && reservation.time &&
+            new Date(reservation.date).toDateString() === bookingDate.toDateString() &&
+            this.bookingService.timeToMinutes(reservation.time) === heldTime &&
+            (!reservation.tee || !booking.booked_tee || reservation.tee.toUpperCase() === booking.booked_tee.toUpperCase())
+        );
+        let cancelResult;
+        if (originals.length === 1) {
+            cancelResult = await this.bookingService.cancelReservation(originals[0].reservationId);
+        } else {
+            cancelResult = {
+                success: false,
+                message: originals.length === 0
+                    ? 'Original reservation not found on club site'
+                    : 'More than one reservation matches the original'
+            };
+        }
+
+        await this.recordBookedSlot(booking.id, result.slot || betterSlot);
+        await this.logBookingAttempt(booking.id, 'upgrade', 'success',
+            `Upgraded ${move} (${reasons.join(', ')})`, result);
+
+        if (cancelResult.success) {
+            await this.logBookingAttempt(booking.id, 'upgrade_cancel', 'success',
+                `Cancelled original ${booking.booked_time} reservation`, cancelResult);
+        } else {
+            await this.logBookingAttempt(booking.id, 'upgrade_cancel', 'failed',
+                `Original ${booking.booked_time} reservation still held - cancel it on the Club Reservations tab: ${cancelResult.message}`,
+                cancelResult);
+        }
+    }
+
+    // Called every minute; polls each watched date whose next poll is due
+    async tick() {
+        if (this.tickInProgress) return;
+
+        try {
+            this.tickInProgress = true;
+
+            const settings = await this.getSettings();
+            const targets = [
+                ...await this.getManualTargets(),
+                ...await this.getWeekendTargets(),
+                ...await this.getRecurringTargets(),
+                ...await this.getUpgradeTargets()
+            ];
+            const activeKeys = new Set(targets.map(target => target.key));
+
+            // Forget dates that were booked or dropped
+            for (const key of this.nextPollAt.keys()) {
+                if (!activeKeys.has(key)) {
+                    this.nextPollAt.delete(key);
+                    this.pollCounts.delete(key);
+                }
+            }
+
+            for (const target of targets) {
+                const now = new Date();
+                const cutoff = new Date(target.playStart.getTime() - settings.cutoff_hours * 60 * 60 * 1000);
+
+                if (now >= cutoff) {
+                    console.log(`⏹️ Cancellation watch for ${target.label} reached its cutoff`);
+                    if (target.type === 'manual') {
+                        await this.endManualWatch(target);
+                    }
+                    continue;
+                }
+
+                if (now.getTime() < (this.nextPollAt.get(target.key) || 0)) continue;
+
+                const poll = (this.pollCounts.get(target.key) || 0) + 1;
+                this.pollCounts.set(target.key, poll);
+
+                const intervalMinutes = this.getPollIntervalMinutes(target, settings, now);
+                this.nextPollAt.set(target.key, now.getTime() + intervalMinutes * 60 * 1000);
+
+                console.log(`👀 Watch poll ${poll} for ${target.label} (next in ${intervalMinutes} min)`);
+
+                try {
+                    if (target.type === 'manual') {
+                        await this.pollManual(target, poll);
+                    } else if (target.type === 'upgrade') {
+                        await this.pollUpgrade(target);
+                    } else if (target.type === 'recurring') {
+                        await this.pollRecurring(target);
+                    } else {
+                        await this.pollWeekend(target);
+                    }
+                } catch (error) {
+                    console.error(`❌ Watch poll for ${target.label} failed:`, error.message);
+                }
+            }
+        } catch (error) {
+            console.error('❌ Cancellation watch error:', error);
+        } finally {
+            this.tickInProgress = false;
+        }
+    }
+}
+
+export default CancellationWatcher;
@@ -0,0 +1,96 @@
+// clubClock.js - How far our clock is from the club server's, measured from its HTTP Date headers
+// Used to aim opening-time attempts at the moment the club's clock says the window opens.
+import axios from 'axios';
+
+const SAMPLE_COUNT = 10;
+// Not a divisor of 1000, so the samples land at different points of the server's second
+const SAMPLE_SPACING_MS = 173;
+
+class ClubClock {
+    constructor(url) {
+        this.url = url;
+        this.offsetMs = 0;         // club server time - our time
+        this.uncertaintyMs = null; // +/- around offsetMs
+        this.latencyMs = null;     // median round trip
+        this.samples = 0;
+        this.measuredAt = null;
+        this.error = null;
+    }
+
+    // One request. The server stamped its Date header (whole seconds) somewhere between sending
+    // and receiving, so the offset lies in [header - received, header + 1s - sent)
+    async sample() {
+        const sent = Date.now();
+        const response = await axios.head(this.url, {
+            timeout: 5000,
+            maxRedirects: 0,
+            validateStatus: () => true
+        });
+        const received = Date.now();
+
+        const header = Date.parse(response.headers.date);
+        if (isNaN(header)) {
+            throw new Error('Club server sent no Date header');
+        }
+
+        return { low: header - received, high: header + 1000 - sent, latency: received - sent };
+    }
+
+    async measure() {
+        const samples = [];
+        this.error = null;
+
+        for (let i = 0; i < SAMPLE_COUNT; i++) {
+            try {
+                samples.push(await this.sample());
+            } catch (error) {
+                this.error = error.message;
+            }
+            await new Promise(resolve => setTimeout(resolve, SAMPLE_SPACING_MS));
+        }
+
+        if (samples.length === 0) {
+            console.log(`⚠️ Could not measure club clock offset: ${this.error}`);
+            return this.getStatus();
+        }
+
+        const median = values => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)];
+        const low = Math.max(...samples.map(sample => sample.low));
+        const high = Math.min(...samples.map(sample => sample.high));
+
+        if (low <= high) {
+            this.offsetMs = Math.round((low + high) / 2);
+            this.uncertaintyMs = Math.round((high - low) / 2);
+        } else {
+            // Samples disagree (jittery network): fall back to the median midpoint
+            this.offsetMs = Math.round(median(samples.map(sample => (sample.low + sample.high) / 2)));
+            this.uncertaintyMs = 500;
+        }
+
+        this.latencyMs = median(samples.map(sample => sample.latency));
+        this.samples = samples.length;
+        this.measuredAt = new Date();
+
+        console.log(`🕰️ Club clock offset ${this.offsetMs >= 0 ? '+' : ''}${this.offsetMs}ms (±${this.uncertaintyMs}ms, round trip ${this.latencyMs}ms)`);
+        return this.getStatus();
+    }
+
+    // Our time at which a request should leave to reach the club as its clock shows opensAt
+    getLaunchTime(opensAt) {
+        const oneWayMs = this.latencyMs ? this.latencyMs / 2 : 0;
+        return new Date(opensAt.getTime() - this.offsetMs - oneWayMs);
+    }
+
+    getStatus() {
+        return {
+            offsetMs: this.offsetMs,
+            uncertaintyMs: this.uncertaintyMs,
+            latencyMs: this.latencyMs,
+            samples: this.samples,
+            measuredAt: this.measuredAt,
+            error: this.error
+        };
+    }
+}
+
+export default ClubClock;
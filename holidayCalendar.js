@@ -0,0 +1,105 @@
+// holidayCalendar.js - US federal holidays plus custom entries from custom_holidays
+// Weekend automation books holidays like Saturdays and Sundays when enabled.
+
+// Fixed-date holidays move to Friday/Monday when they fall on a weekend (observed day)
+const FIXED_HOLIDAYS = [
+    { month: 1, day: 1, name: "New Year's Day" },
+    { month: 6, day: 19, name: 'Juneteenth' },
+    { month: 7, day: 4, name: 'Independence Day' },
+    { month: 11, day: 11, name: 'Veterans Day' },
+    { month: 12, day: 25, name: 'Christmas Day' }
+];
+
+// nth weekday of a month (week -1 = last); weekday as from Date.getDay()
+const FLOATING_HOLIDAYS = [
+    { month: 1, weekday: 1, week: 3, name: 'Martin Luther King Jr. Day' },
+    { month: 2, weekday: 1, week: 3, name: "Presidents' Day" },
+    { month: 5, weekday: 1, week: -1, name: 'Memorial Day' },
+    { month: 9, weekday: 1, week: 1, name: 'Labor Day' },
+    { month: 10, weekday: 1, week: 2, name: 'Columbus Day' },
+    { month: 11, weekday: 4, week: 4, name: 'Thanksgiving Day' }
+];
+
+class HolidayCalendar {
+    // formatDate turns a Date into the YYYY-MM-DD key used by the database
+    constructor(pool, formatDate) {
+        this.pool = pool;
+        this.formatDate = formatDate;
+    }
+
+    nthWeekday(year, month, weekday, week) {
+        if (week === -1) {
+            const date = new Date(year, month, 0, 12); // last day of the month
+            date.setDate(date.getDate() - ((date.getDay() - weekday + 7) % 7));
+            return date;
+        }
+
+        const date = new Date(year, month - 1, 1, 12);
+        date.setDate(1 + ((weekday - date.getDay() + 7) % 7) + (week - 1) * 7);
+        return date;
+    }
+
+    getFederalHolidays(year) {
+        const holidays = [];
+
+        for (const { month, day, name } of FIXED_HOLIDAYS) {
+            const date = new Date(year, month - 1, day, 12);
+            holidays.push({ date: this.formatDate(date), name, source: 'federal' });
+
+            if (date.getDay() === 6 || date.getDay() === 0) {
+                const observed = new Date(date);
+                observed.setDate(observed.getDate() + (date.getDay() === 6 ? -1 : 1));
+                holidays.push({ date: this.formatDate(observed), name: `${name} (observed)`, source: 'federal' });
+            }
+        }
+
+        for (const { month, weekday, week, name } of FLOATING_HOLIDAYS) {
+            holidays.push({ date: this.formatDate(this.nthWeekday(year, month, weekday, week)), name, source: 'federal' });
+        }
+
+        return holidays;
+    }
+
+    async getCustomHolidays() {
+        try {
+            const [holidays] = await this.pool.query(
+                `SELECT id, DATE_FORMAT(date, '%Y-%m-%d') AS date, name
+                 FROM custom_holidays WHERE user_id = 1 ORDER BY date ASC`
+            );
+            return holidays.map(holiday => ({ ...holiday, source: 'custom' }));
+        } catch (error) {
+            console.error('Error loading custom holidays:', error);
+            return [];
+        }
+    }
+
+    // Holidays between two YYYY-MM-DD keys (inclusive), custom entries winning on the same date
+    async getHolidays(fromKey, toKey) {
+        const byDate = new Map();
+        const fromYear = Number(fromKey.slice(0, 4));
+        const toYear = Number(toKey.slice(0, 4));
+
+        // One year past the range: New Year's Day on a Saturday is observed on December 31st before it
+        for (let year = fromYear; year <= toYear + 1; year++) {
+            for (const holiday of this.getFederalHolidays(year)) {
+                byDate.set(holiday.date, holiday);
+            }
+        }
+        for (const holiday of await this.getCustomHolidays()) {
+            byDate.set(holiday.date, holiday);
+        }
+
+        return [...byDate.values()]
+            .filter(holiday => holiday.date >= fromKey && holiday.date <= toKey)
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    // The holiday on a date, or null
+    async getHoliday(date) {
+        const dateKey = this.formatDate(date);
+        const [holiday] = await this.getHolidays(dateKey, dateKey);
+        return holiday || null;
+    }
+}
+
+export default HolidayCalendar;
@@ -0,0 +1,29 @@
+// jsonColumns.js - JSON columns read back as values
+// mysql2 parses MySQL JSON columns itself, but MariaDB stores JSON as LONGTEXT and some driver
+// settings return the text, so every read of these columns goes through here.
+
+export const JSON_COLUMNS = ['time_windows', 'sunday_time_windows', 'guest_ids', 'day_overrides', 'ranking_weights'];
+
+// A JSON column value, parsed if it came back as text; fallback for NULL or unreadable text
+export function parseJsonColumn(value, fallback = null) {
+    if (value === null || value === undefined) return fallback;
+    if (typeof value !== 'string' && !Buffer.isBuffer(value)) return value;
+
+    try {
+        return JSON.parse(value.toString());
+    } catch (error) {
+        console.error(`Unreadable JSON column value ${String(value).substring(0, 50)}:`, error.message);
+        return fallback;
+    }
+}
+
+// The row with each of its JSON_COLUMNS parsed (a copy; rows without any are returned as is)
+export function parseJsonColumns(row) {
+    if (!row) return row;
+
+    const parsed = { ...row };
+    for (const column of JSON_COLUMNS) {
+        if (column in parsed) parsed[column] = parseJsonColumn(parsed[column]);
+    }
+    return parsed;
+}
@@ -0,0 +1,194 @@
+// launchScheduler.js - Millisecond-precision attempts at the moment a date opens for booking
+// Each launch prepares its session and booking dialog ahead of time, sleeps on a coarse timer,
+// spins through the final stretch and fires a staggered burst of tee sheet fetches around the
+// club's open instant (by its clock, see clubClock.js). The first attempt to find the sheet open
+// hands it to the booking; every attempt's timing is recorded in launch_attempts.
+
+export const DEFAULT_LAUNCH_CONFIG = {
+    prepareLeadMs: 45000, // log in and prefetch this long before opening
+    spinMs: 1500,         // timers can fire late: stop sleeping this long before the first attempt
+    burstAttempts: 5,
+    burstSpacingMs: 200,
+    burstLeadMs: 400,     // first burst attempt this long before the aimed instant
+    retrySeconds: 10      // then one attempt a second for this long while the sheet isn't open
+};
+
+class LaunchScheduler {
+    constructor(pool, clubClock, config = {}) {
+        this.pool = pool;
+        this.clubClock = clubClock;
+        this.config = { ...DEFAULT_LAUNCH_CONFIG, ...config };
+        this.launches = new Map(); // key -> launch
+    }
+
+    // job: { key, label, date (play date), opensAt (real instant), service (GolfBookingService),
+    //        prepare() - log in and prefetch, book(teeSheet) - teeSheet is null if it never opened }
+    schedule(job) {
+        if (this.launches.has(job.key)) return false;
+
+        const launch = { ...job, state: 'waiting' };
+        const prepareIn = job.opensAt.getTime() - this.config.prepareLeadMs - Date.now();
+        launch.timer = setTimeout(() => this.run(launch), Math.max(prepareIn, 0));
+        this.launches.set(job.key, launch);
+
+        console.log(`🚀 Launch scheduled: ${job.label} opens ${job.opensAt.toLocaleString('en-US')}`);
+        return true;
+    }
+
+    isScheduled(key) {
+        return this.launches.has(key);
+    }
+
+    // Preparing or firing - other booking paths stay out of the way meanwhile
+    hasActiveLaunches() {
+        return [...this.launches.values()].some(launch => launch.state !== 'waiting');
+    }
+
+    // Scheduled and running launches, for /api/health and /api/launches
+    getStatus() {
+        return [...this.launches.values()].map(({ key, label, opensAt, state }) => ({ key, label, opensAt, state }));
+    }
+
+    cancel(key) {
+        const launch = this.launches.get(key);
+        if (!launch || launch.state !== 'waiting') return false;
+
+        clearTimeout(launch.timer);
+        this.launches.delete(key);
+        return true;
+    }
+
+    async run(launch) {
+        try {
+            launch.state = 'preparing';
+            console.log(`🔥 Preparing launch: ${launch.label}`);
+
+            // Best effort: an unprepared launch is slower, not broken
+            try {
+                await launch.prepare();
+            } catch (error) {
+                console.error(`⚠️ Launch preparation failed for ${launch.label}:`, error.message);
+            }
+            await this.clubClock.measure();
+
+            launch.state = 'firing';
+            const teeSheet = await this.fire(launch);
+
+            if (teeSheet) {
+                launch.service.primeTeeSheet(launch.date, teeSheet);
+            } else {
+                console.log(`⏳ ${launch.label} did not open during the launch, booking normally`);
+            }
+            await launch.book(teeSheet);
+        } catch (error) {
+            console.error(`❌ Launch error for ${launch.label}:`, error);
+        } finally {
+            this.launches.delete(launch.key);
+        }
+    }
+
+    // Our clock times of each attempt: the burst around the aimed instant, then one a second
+    getAttemptTimes(opensAt) {
+        const { burstAttempts, burstSpacingMs, burstLeadMs, retrySeconds } = this.config;
+        const launchAt = this.clubClock.getLaunchTime(opensAt).getTime();
+        const times = [];
+
+        for (let i = 0; i < burstAttempts; i++) {
+            times.push(launchAt - burstLeadMs + i * burstSpacingMs);
+        }
+        for (let second = 1; second <= retrySeconds; second++) {
+            const time = launchAt + second * 1000;
+            if (times.length === 0 || time > times[times.length - 1]) times.push(time);
+        }
+
+        return times;
+    }
+
+    // Coarse timer until spinMs before, then (spin) check every event loop turn. Spinning keeps
+    // the single core busy, so only the first attempt does it; later ones use a plain timer
+    async waitUntil(time, spin = false) {
+        const sleepMs = time - (spin ? this.config.spinMs : 0) - Date.now();
+        if (sleepMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, sleepMs));
+        }
+        while (spin && Date.now() < time) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    }
+
+    // Resolves with the first open tee sheet, or null once every attempt found it closed
+    async fire(launch) {
+        const times = this.getAttemptTimes(launch.opensAt);
+        let openSheet = null;
+        let resolveOpen;
+        const opened = new Promise(resolve => { resolveOpen = resolve; });
+
+        const claim = (teeSheet) => {
+            if (openSheet) return false;
+            openSheet = teeSheet;
+            resolveOpen(teeSheet);
+            return true;
+        };
+
+        console.log(`🚀 Launching ${launch.label}: ${times.length} attempts from ${new Date(times[0]).toLocaleTimeString('en-US')}` +
+            ` (club clock ${this.clubClock.offsetMs >= 0 ? '+' : ''}${this.clubClock.offsetMs}ms)`);
+
+        const attempts = (async () => {
+            const sent = [];
+            for (const [index, plannedAt] of times.entries()) {
+                await this.waitUntil(plannedAt, index === 0);
+                if (openSheet) break;
+                sent.push(this.attempt(launch, index + 1, plannedAt, claim));
+            }
+            await Promise.all(sent);
+            return openSheet;
+        })();
+
+        return await Promise.race([opened, attempts]);
+    }
+
+    // One tee sheet fetch; claim(teeSheet) is true for the first attempt to find it open
+    async attempt(launch, number, plannedAt, claim) {
+        const sentAt = Date.now();
+        let outcome;
+        let message;
+
+        try {
+            const teeSheet = await launch.service.getTeeSheet(launch.date, 1);
+            if (teeSheet.available) {
+                outcome = 'open';
+                message = claim(teeSheet)
+                    ? `Booking from this tee sheet (${teeSheet.slots.length} slots)`
+                    : 'Open, another attempt was first';
+            } else {
+                outcome = 'not_open';
+                message = teeSheet.message || 'Not open yet';
+            }
+        } catch (error) {
+            outcome = 'error';
+            message = error.message;
+        }
+
+        const respondedAt = Date.now();
+        console.log(`🚀 ${launch.label} #${number}: ${outcome} - sent ${sentAt - plannedAt}ms after plan, ` +
+            `answered in ${respondedAt - sentAt}ms`);
+
+        await this.recordAttempt(launch, number, plannedAt, sentAt, respondedAt, outcome, message);
+    }
+
+    async recordAttempt(launch, number, plannedAt, sentAt, respondedAt, outcome, message) {
+        try {
+            await this.pool.query(
+                `INSERT INTO launch_attempts
+                 (launch_key, label, target_date, attempt, opens_at, planned_at, sent_at, responded_at, outcome, message)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [launch.key, launch.label, launch.date, number, launch.opensAt,
+                    new Date(plannedAt), new Date(sentAt), new Date(respondedAt), outcome, String(message).substring(0, 255)]
+            );
+        } catch (error) {
+            console.error('Error recording launch attempt:', error.message);
+        }
+    }
+}
+
+export default LaunchScheduler;
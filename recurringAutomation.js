@@ -0,0 +1,170 @@
+// recurringAutomation.js - Recurring weekday rules ("every Wednesday 7:30-9:00")
+// Dates are booked through WeekendAutomation.bookDate, so they share its session,
+// booking lock and weekend_booking_history logging.
+import { parseJsonColumns } from './jsonColumns.js';
+
+// How far ahead to list upcoming dates for each rule
+const UPCOMING_DAYS = 28;
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+class RecurringAutomation {
+    constructor(pool, weekendAutomation) {
+        this.pool = pool;
+        this.weekendAutomation = weekendAutomation;
+        this.catchUpInProgress = false;
+    }
+
+    // Rules with days_of_week parsed to numbers (0 = Sunday ... 6 = Saturday)
+    async getRules(enabledOnly = false) {
+        const [rules] = await this.pool.query(
+            `SELECT *, DATE_FORMAT(start_date, '%Y-%m-%d') AS start_key, DATE_FORMAT(end_date, '%Y-%m-%d') AS end_key
+             FROM recurring_rules WHERE user_id = 1 ${enabledOnly ? 'AND is_enabled = 1' : ''}
+             ORDER BY id ASC`
+        );
+
+        return rules.map(rule => ({
+            ...parseJsonColumns(rule),
+            days: String(rule.days_of_week).split(',').filter(Boolean).map(Number)
+        }));
+    }
+
+    // Does a rule ask for this date (right weekday, inside its active date range)?
+    ruleAppliesTo(rule, date) {
+        if (!rule.days.includes(date.getDay())) return false;
+
+        const dateKey = this.weekendAutomation.formatDate(date);
+        if (rule.start_key && dateKey < rule.start_key) return false;
+        if (rule.end_key && dateKey > rule.end_key) return false;
+        return true;
+    }
+
+    // The rule's dates from tomorrow through the next `days` days
+    getRuleDates(rule, days = UPCOMING_DAYS) {
+        const now = this.weekendAutomation.getCurrentEDT();
+        const dates = [];
+
+        for (let i = 1; i <= days; i++) {
+            const date = new Date(now);
+            date.setDate(date.getDate() + i);
+            date.setHours(12, 0, 0, 0);
+            if (this.ruleAppliesTo(rule, date)) dates.push(date);
+        }
+
+        return dates;
+    }
+
+    // Booking plan for WeekendAutomation.bookDate
+    planForRule(rule) {
+        return {
+            label: rule.name || `Recurring rule ${rule.id}`,
+            bookingType: 'recurring',
+            ruleId: rule.id,
+            partySize: rule.party_size || 4,
+            roundLength: rule.round_length || 18,
+            comments: rule.comments || '',
+            notes: rule.notes || '',
+            timeWindows: rule.time_windows,
+            guestIds: rule.guest_ids || []
+        };
+    }
+
+    async bookRuleDate(rule, date, mode) {
+        return await this.weekendAutomation.bookDate(date, mode, this.planForRule(rule));
+    }
+
+    // Catch-up mode: book every rule date whose booking window is already open
+    async executeCatchUpBookings() {
+        if (this.catchUpInProgress) {
+            console.log('⏳ Recurring catch-up already in progress, skipping...');
+            return;
+        }
+
+        try {
+            this.catchUpInProgress = true;
+
+            const rules = await this.getRules(true);
+            if (rules.length === 0) return;
+
+            console.log(`🔄 Starting recurring catch-up check (${rules.length} rules)...`);
+            const blackouts = await this.weekendAutomation.getBlackouts();
+            let bookingsMade = 0;
+
+            for (const rule of rules) {
+                for (const date of this.getRuleDates(rule, this.weekendAutomation.bookingWindow.getMaxLeadDays())) {
+                    if (!this.weekendAutomation.isBookingWindowOpen(date)) continue;
+                    if (this.weekendAutomation.findBlackout(date, blackouts)) continue;
+                    if (await this.weekendAutomation.hasExistingBooking(date)) continue;
+                    if (await this.weekendAutomation.hasFailedAttempt(date)) continue;
+
+                    console.log(`📅 Catch-up: Booking window open for ${rule.name} on ${this.weekendAutomation.formatDate(date)}`);
+                    const result = await this.bookRuleDate(rule, date, 'catch-up');
+                    if (result?.success) bookingsMade++;
+
+                    // Small delay between bookings
+                    await new Promise(resolve => setTimeout(resolve, 5000));
+                }
+            }
+
+            console.log(`📊 Recurring catch-up complete: ${bookingsMade} date(s) booked`);
+        } catch (error) {
+            console.error('❌ Recurring catch-up error:', error);
+        } finally {
+            this.catchUpInProgress = false;
+        }
+    }
+
+    // Real-time booking: book a date whose window opens now for the first rule that wants it
+    async executeRealTimeBooking(targetDate) {
+        const rules = await this.getRules(true);
+        const rule = rules.find(candidate => this.ruleAppliesTo(candidate, targetDate));
+
+        if (!rule) return;
+
+        console.log(`🎯 Recurring real-time booking for ${rule.name} on ${this.weekendAutomation.formatDate(targetDate)}`);
+        await this.bookRuleDate(rule, targetDate, 'real-time');
+    }
+
+    // Upcoming dates of a rule with their booking status, for the Recurring tab
+    async getUpcoming(rule) {
+        const upcoming = [];
+        const blackouts = await this.weekendAutomation.getBlackouts();
+
+        for (const date of this.getRuleDates(rule)) {
+            const dateKey = this.weekendAutomation.formatDate(date);
+            const [bookings] = await this.pool.query(
+                'SELECT status, booking_type, booked_time FROM booking_preferences WHERE date = ?',
+                [dateKey]
+            );
+            const [history] = await this.pool.query(
+                `SELECT status FROM weekend_booking_history WHERE target_date = ?
+                 ORDER BY created_at DESC LIMIT 1`,
+                [dateKey]
+            );
+
+            const blackout = this.weekendAutomation.findBlackout(date, blackouts);
+
+            let status = this.weekendAutomation.isBookingWindowOpen(date) ? 'open' : 'scheduled';
+            if (bookings.length > 0) {
+                status = bookings[0].status;
+            } else if (blackout) {
+                status = 'blackout';
+            } else if (history.length > 0 && ['no_slots', 'failed'].includes(history[0].status)) {
+                status = history[0].status;
+            }
+
+            upcoming.push({
+                date: dateKey,
+                dayName: DAY_NAMES[date.getDay()],
+                status,
+                bookingType: bookings[0]?.booking_type || null,
+                bookedTime: bookings[0]?.booked_time || null,
+                statusMessage: status === 'blackout' ? this.weekendAutomation.describeBlackout(blackout) : null
+            });
+        }
+
+        return upcoming;
+    }
+}
+
+export default RecurringAutomation;
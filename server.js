@@ -10,6 +10,13 @@ import dotenv from 'dotenv';
 import fs from 'fs';
 import GolfBookingService from './bookingService.js';
 import WeekendAutomation from './weekendAutomation.js';
+import CancellationWatcher from './cancellationWatcher.js';
+import RecurringAutomation from './recurringAutomation.js';
+import BookingWindowPolicy, { getSystemTimeZone, isSameTimeZone } from './bookingWindowPolicy.js';
+import ClubClock from './clubClock.js';
+import LaunchScheduler from './launchScheduler.js';
+import { parseJsonColumns } from './jsonColumns.js';
+import { RANKING_STRATEGIES, DEFAULT_RANKING_STRATEGY, RANKING_WEIGHT_NAMES } from './slotRanking.js';
 
 dotenv.config();
 
@@ -67,9 +74,34 @@ const dbConfig = {
     queueLimit: 0
 };
 
+// Launch burst tuning (launchScheduler.js); unset variables keep its defaults
+const launchConfig = Object.fromEntries(
+    Object.entries({
+        burstAttempts: process.env.LAUNCH_BURST_ATTEMPTS,
+        burstSpacingMs: process.env.LAUNCH_BURST_SPACING_MS,
+        burstLeadMs: process.env.LAUNCH_BURST_LEAD_MS,
+        retrySeconds: process.env.LAUNCH_RETRY_SECONDS
+    })
+        .filter(([, value]) => value !== undefined && value !== '' && !isNaN(Number(value)))
+        .map(([key, value]) => [key, Number(value)])
+);
+
+const TEE_PREFERENCES = ['either', 'prefer_first', 'first_only', 'tenth_only'];
+const RANKING_STRATEGY_NAMES = Object.keys(RANKING_STRATEGIES);
+const MAX_TIME_WINDOWS = 5;
+
 let pool;
 const bookingService = new GolfBookingService();
+// Directory imports, transport options and reservation management log in on their own session,
+// so they never re-authenticate bookingService in the middle of a booking
+const lookupService = new GolfBookingService();
+const clubClock = new ClubClock(bookingService.baseURL); // offset from the club server's clock
 let weekendAutomation;
+let recurringAutomation;
+let cancellationWatcher;
+let bookingWindowPolicy;
+let launchScheduler;
+let launchTasks = []; // launch planning crons, one per open time
 
 // Initialize database connection
 async function initDB() {
@@ -78,9 +110,34 @@ async function initDB() {
         await pool.query('SELECT 1');
         console.log('✅ Database connected successfully');
 
+        // When dates open for booking - used by every automation and the launch crons
+        bookingWindowPolicy = new BookingWindowPolicy(pool);
+        await bookingWindowPolicy.load();
+        console.log(`🪟 Booking window: ${bookingWindowPolicy.describe()}`);
+
+        // Precision attempts at opening moments, for manual bookings and the automations
+        launchScheduler = new LaunchScheduler(pool, clubClock, launchConfig);
+
         // Initialize weekend automation after DB is ready
-        weekendAutomation = new WeekendAutomation(pool);
+        weekendAutomation = new WeekendAutomation(pool, bookingWindowPolicy);
         console.log('⛳ Weekend Automation initialized');
+
+        recurringAutomation = new RecurringAutomation(pool, weekendAutomation);
+        console.log('🔁 Recurring Automation initialized');
+
+        cancellationWatcher = new CancellationWatcher(pool, bookingService, weekendAutomation, recurringAutomation, {
+            processBooking,
+            logBookingAttempt,
+            getBookingGuests,
+            recordBookedSlot,
+            authenticate: authenticateWithStoredCredentials
+        });
+        console.log('👀 Cancellation watcher initialized');
+
+        scheduleLaunchCrons();
+
+        // First skew reading for /api/health; each launch measures again while preparing
+        clubClock.measure().catch(error => console.error('Club clock measurement error:', error.message));
     } catch (error) {
         console.error('❌ Database connection failed:', error.message);
         console.log('Retrying database connection in 5 seconds...');
@@ -103,8 +160,400 @@ async function logBookingAttempt(preferenceId, action, status, message, response
     }
 }
 
+// Log the shared booking service (or lookupService) in with the stored golf club credentials
+async function authenticateWithStoredCredentials(service = bookingService) {
+    const [userSettings] = await pool.query('SELECT * FROM user_settings WHERE id = 1');
+
+    if (!userSettings[0]?.username) {
+        throw new Error('Please configure credentials first');
+    }
+
+    const username = userSettings[0].username;
+    const password = Buffer.from(userSettings[0].password_encrypted, 'base64').toString();
+
+    const authResult = await service.authenticate(username, password);
+    if (!authResult.success) {
+        throw new Error(`Authentication failed: ${authResult.error}`);
+    }
+
+    return userSettings[0];
+}
+
+// Get the guests (P2-P4) for a booking preference, in playing order.
+// A per-booking transport overrides the guest's default.
+// Falls back to the first active guests when no players were chosen.
+async function getBookingGuests(preferenceId) {
+    const [players] = await pool.query(
+        `SELECT g.*, COALESCE(bp.transport, g.transport) AS transport FROM booking_players bp
+         JOIN guest_list g ON g.id = bp.guest_id
+         WHERE bp.preference_id = ?
+         ORDER BY bp.position ASC`,
+        [preferenceId]
+    );
+
+    if (players.length > 0) {
+        return players;
+    }
+
+    const [guests] = await pool.query(
+        'SELECT * FROM guest_list WHERE is_active = 1 ORDER BY sort_order ASC, id ASC LIMIT 3'
+    );
+    return guests;
+}
+
+// Store the chosen guests for a booking preference
+// guestTransports optionally maps guest id -> transport for this booking only
+// db is the pool or a connection inside a transaction
+async function saveBookingGuests(preferenceId, guestIds, guestTransports = {}, db = pool) {
+    await db.query('DELETE FROM booking_players WHERE preference_id = ?', [preferenceId]);
+
+    for (let i = 0; i < guestIds.length; i++) {
+        await db.query(
+            'INSERT INTO booking_players (preference_id, guest_id, position, transport) VALUES (?, ?, ?, ?)',
+            [preferenceId, guestIds[i], i + 2, guestTransports[guestIds[i]] || null]
+        );
+    }
+}
+
+// Check that chosen guests exist, are active and are not picked twice; returns an error message or null
+async function validateGuestIds(guestIds) {
+    if (guestIds.length === 0) return null;
+
+    const ids = guestIds.map(Number);
+    if (ids.some(id => !Number.isInteger(id)) || new Set(ids).size !== ids.length) {
+        return 'Each guest can only be chosen once';
+    }
+
+    const [guests] = await pool.query('SELECT id, name, is_active FROM guest_list WHERE id IN (?)', [ids]);
+    const missing = ids.filter(id => !guests.some(guest => guest.id === id));
+    if (missing.length > 0) {
+        return `Guest ${missing.join(', ')} not found`;
+    }
+
+    const inactive = guests.filter(guest => !guest.is_active);
+    if (inactive.length > 0) {
+        return `${inactive.map(guest => guest.name).join(', ')} ${inactive.length > 1 ? 'are' : 'is'} inactive`;
+    }
+
+    return null;
+}
+
+// Remember the slot a booking holds (compared against by keep-improving mode)
+async function recordBookedSlot(preferenceId, slot) {
+    if (!slot?.time) return;
+
+    await pool.query(
+        'UPDATE booking_preferences SET booked_time = ?, booked_tee = ?, booked_spots = ? WHERE id = ?',
+        [
+            bookingService.minutesToTime(bookingService.timeToMinutes(slot.time)),
+            slot.tee || null,
+            slot.availableSpots ?? null,
+            preferenceId
+        ]
+    );
+}
+
+// Validate an ordered list of { start, end } time windows from the client
+// Returns { windows } with times as HH:MM:00, or { error }
+function parseTimeWindows(windows) {
+    if (!Array.isArray(windows) || windows.length === 0 || windows.length > MAX_TIME_WINDOWS) {
+        return { error: `Give between 1 and ${MAX_TIME_WINDOWS} time windows` };
+    }
+
+    const parsed = [];
+    for (const window of windows) {
+        const start = /^(\d{1,2}):(\d{2})(:\d{2})?$/.exec(window?.start || '');
+        const end = /^(\d{1,2}):(\d{2})(:\d{2})?$/.exec(window?.end || '');
+        if (!start || !end) {
+            return { error: 'Time windows need a start and end time (HH:MM)' };
+        }
+
+        const startTime = `${start[1].padStart(2, '0')}:${start[2]}:00`;
+        const endTime = `${end[1].padStart(2, '0')}:${end[2]}:00`;
+        if (startTime >= endTime) {
+            return { error: `Time window ${window.start}-${window.end} ends before it starts` };
+        }
+
+        parsed.push({ start: startTime, end: endTime });
+    }
+
+    return { windows: parsed };
+}
+
+// Validate per-booking overrides of the strategy's weights ({ spots?, earliness?, tee? })
+// Returns { weights } (null when there are none), or { error }
+function parseRankingWeights(weights) {
+    if (weights === undefined || weights === null) {
+        return { weights: null };
+    }
+    if (typeof weights !== 'object' || Array.isArray(weights)) {
+        return { error: 'Ranking weights must be an object' };
+    }
+
+    const parsed = {};
+    for (const [name, value] of Object.entries(weights)) {
+        if (value === '' || value === null) continue;
+        if (!RANKING_WEIGHT_NAMES.includes(name)) {
+            return { error: `Ranking weights can only set: ${RANKING_WEIGHT_NAMES.join(', ')}` };
+        }
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < 0 || number > 100000) {
+            return { error: `Ranking weight ${name} must be a number from 0 to 100000` };
+        }
+        parsed[name] = number;
+    }
+
+    return { weights: Object.keys(parsed).length > 0 ? parsed : null };
+}
+
+// Validate a recurring rule from the client
+// Returns { rule } with database column values, or { error }
+function parseRecurringRule(body) {
+    const name = (body.name || '').trim();
+    if (!name || name.length > 100) {
+        return { error: 'Give the rule a name (up to 100 characters)' };
+    }
+
+    const days = Array.isArray(body.daysOfWeek) ? [...new Set(body.daysOfWeek.map(Number))] : [];
+    if (days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        return { error: 'Choose at least one day of the week' };
+    }
+
+    const windows = parseTimeWindows(body.timeWindows);
+    if (windows.error) {
+        return { error: windows.error };
+    }
+
+    const partySize = parseInt(body.partySize) || 4;
+    if (partySize < 1 || partySize > 4) {
+        return { error: 'Party size must be between 1 and 4' };
+    }
+
+    const roundLength = parseInt(body.roundLength) || 18;
+    if (roundLength !== 18 && roundLength !== 9) {
+        return { error: 'Round length must be 9 or 18 holes' };
+    }
+
+    const guestIds = body.guestIds || [];
+    if (!Array.isArray(guestIds) || (guestIds.length !== 0 && guestIds.length !== partySize - 1)) {
+        return { error: `Choose exactly ${partySize - 1} guests, or none to use the guest list order` };
+    }
+
+    const startDate = body.startDate || null;
+    const endDate = body.endDate || null;
+    if ([startDate, endDate].some(date => date && !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+        return { error: 'Dates must be YYYY-MM-DD' };
+    }
+    if (startDate && endDate && startDate > endDate) {
+        return { error: 'The active range ends before it starts' };
+    }
+
+    const comments = String(body.comments ?? '').trim() || null;
+    const notes = String(body.notes ?? '').trim() || null;
+    if ((comments && comments.length > 255) || (notes && notes.length > 255)) {
+        return { error: 'Comments and notes are limited to 255 characters' };
+    }
+
+    return {
+        rule: {
+            name,
+            days_of_week: days.sort().join(','),
+            time_windows: JSON.stringify(windows.windows),
+            party_size: partySize,
+            round_length: roundLength,
+            guest_ids: guestIds.length > 0 ? JSON.stringify(guestIds.map(Number)) : null,
+            start_date: startDate,
+            end_date: endDate,
+            comments,
+            notes,
+            is_enabled: body.enabled === false ? 0 : 1
+        }
+    };
+}
+
+// Validate a blackout date or range from the client
+// Returns { blackout } with database column values, or { error }
+function parseBlackout(body) {
+    const startDate = body.startDate;
+    const endDate = body.endDate || startDate;
+    if (![startDate, endDate].every(date => /^\d{4}-\d{2}-\d{2}$/.test(date || ''))) {
+        return { error: 'Dates must be YYYY-MM-DD' };
+    }
+    if (startDate > endDate) {
+        return { error: 'The blackout ends before it starts' };
+    }
+
+    const reason = (body.reason || '').trim() || null;
+    if (reason && reason.length > 255) {
+        return { error: 'Reason is limited to 255 characters' };
+    }
+
+    return { blackout: { start_date: startDate, end_date: endDate, reason } };
+}
+
+// Note for a booking log entry listing slots lost to other members during the attempt
+function describeLostSlots(result) {
+    if (!result?.lostSlots?.length) return '';
+    return ` (lost race for ${result.lostSlots.map(slot => `${slot.time} ${slot.tee}`).join(', ')})`;
+}
+
+// A full time range hands the booking to the cancellation watcher instead of the minute loop
+function statusAfterFailedAttempt(result) {
+    return cancellationWatcher?.isNoSlotsResult(result) ? 'watching' : 'pending';
+}
+
+// Store the club's actual opening moment (read from the tee sheet countdown) on a manual booking,
+// replacing the booking window policy's estimate. opensAt is a real instant (parseOpeningTime);
+// booking_opens_at holds club wall-clock time like every estimate, see openingInstant
+async function recordOpeningTime(booking, opensAt) {
+    if (!opensAt) return;
+
+    const wallClock = bookingWindowPolicy.toWallClock(new Date(Math.round(opensAt.getTime() / 1000) * 1000));
+    if (booking.opens_at_confirmed && Math.abs(new Date(booking.booking_opens_at) - wallClock) < 1000) return;
+
+    await pool.query(
+        'UPDATE booking_preferences SET booking_opens_at = ?, opens_at_confirmed = TRUE WHERE id = ?',
+        [wallClock, booking.id]
+    );
+    booking.booking_opens_at = wallClock;
+    booking.opens_at_confirmed = 1;
+
+    await logBookingAttempt(booking.id, 'opening_time', 'info',
+        `Club countdown: booking opens ${wallClock.toLocaleString('en-US')}`);
+}
+
+// Bookings whose countdown was already read this run (one successful tee sheet read each;
+// a failed read is tried again the next minute)
+const probedOpeningTimes = new Set();
+
+// Read the club's countdown for manual bookings due to open in the next 10 minutes and hand
+// them to the launch scheduler, timed from the real opening moment
+async function probeOpeningTimes() {
+    const [upcoming] = await pool.query(
+        `SELECT * FROM booking_preferences
+         WHERE status = 'pending'
+           AND booking_type = 'manual'
+           AND booking_opens_at BETWEEN DATE_ADD(NOW(), INTERVAL 1 MINUTE) AND DATE_ADD(NOW(), INTERVAL 10 MINUTE)`
+    );
+
+    for (const booking of upcoming) {
+        if (probedOpeningTimes.has(booking.id)) continue;
+
+        try {
+            if (!bookingService.sessionToken) {
+                await authenticateWithStoredCredentials();
+            }
+
+            const teeSheet = await bookingService.getTeeSheet(new Date(booking.date));
+
+            // Already open: the next minute's run books it
+            if (teeSheet.available) {
+                probedOpeningTimes.add(booking.id);
+                await recordOpeningTime(booking, new Date());
+                continue;
+            }
+            if (teeSheet.opensAt) {
+                probedOpeningTimes.add(booking.id);
+                await recordOpeningTime(booking, teeSheet.opensAt);
+                // An earlier failed read may have scheduled it from the estimate
+                launchScheduler.cancel(`manual:${booking.id}`);
+            } else {
+                console.log(`⚠️ No countdown found for booking ${booking.id}, trying again next minute`);
+            }
+        } catch (error) {
+            console.error(`Could not read the opening time for booking ${booking.id}:`, error.message);
+        }
+
+        // Scheduled from the estimate until a read succeeds
+        scheduleManualLaunch(booking);
+    }
+}
+
+// The real instant of an opening time. booking_opens_at and the policy's opening times are
+// club wall-clock times; every launch converts them here
+function openingInstant(wallClock) {
+    return bookingWindowPolicy.toInstant(new Date(wallClock));
+}
+
+// Normalize a booking_preferences date to a Date at noon local time
+function toBookingDate(date) {
+    if (typeof date === 'string' && date.match(/^\d{4}-\d{2}-\d{2}$/)) {
+        return new Date(date + 'T12:00:00');
+    }
+    return new Date(date);
+}
+
+// Hand a manual booking's opening moment to the launch scheduler; the minute cron leaves
+// the booking alone until the launch is over
+function scheduleManualLaunch(booking) {
+    const bookingDate = toBookingDate(booking.date);
+
+    return launchScheduler.schedule({
+        key: `manual:${booking.id}`,
+        label: `Manual booking ${booking.id} (${bookingDate.toLocaleDateString('en-US')})`,
+        date: bookingDate,
+        opensAt: openingInstant(booking.booking_opens_at),
+        service: bookingService,
+        prepare: async () => {
+            await authenticateWithStoredCredentials();
+            await bookingService.prefetchBookingDialog(bookingDate, {
+                partySize: booking.party_size || 4,
+                roundLength: booking.round_length || 18
+            });
+        },
+        // The booking may have been edited or removed since it was scheduled
+        book: async () => {
+            const [lockResult] = await pool.query(
+                'UPDATE booking_preferences SET status = ?, last_attempt = NOW() WHERE id = ? AND status = ?',
+                ['processing', booking.id, 'pending']
+            );
+            if (lockResult.affectedRows === 0) return;
+
+            const [rows] = await pool.query('SELECT * FROM booking_preferences WHERE id = ?', [booking.id]);
+            const [userSettings] = await pool.query('SELECT * FROM user_settings WHERE id = 1');
+            await runManualAttempt(rows[0], userSettings[0], 'Launch attempt at the opening moment');
+        }
+    });
+}
+
+// One automated attempt at a manual booking already locked as 'processing'
+async function runManualAttempt(booking, userSettings, startMessage) {
+    console.log(`🎯 Checking availability for manual booking ${booking.date}`);
+
+    await logBookingAttempt(booking.id, 'auto_attempt', 'info', startMessage);
+
+    const result = await processBooking(booking, userSettings);
+
+    if (result.success) {
+        await pool.query(
+            'UPDATE booking_preferences SET status = ?, attempts = attempts + 1, last_attempt = NOW() WHERE id = ?',
+            ['booked', booking.id]
+        );
+        await recordBookedSlot(booking.id, result.slot);
+
+        await logBookingAttempt(booking.id, 'auto_attempt', 'success',
+            `Successfully booked: ${result.slot?.time || 'Unknown time'}${describeLostSlots(result)}`, result);
+
+        console.log(`✅ Successfully booked ${booking.date} at ${result.slot?.time}`);
+    } else {
+        await pool.query(
+            'UPDATE booking_preferences SET status = ?, attempts = attempts + 1, last_attempt = NOW() WHERE id = ?',
+            [statusAfterFailedAttempt(result), booking.id]
+        );
+        await recordOpeningTime(booking, result.opensAt);
+
+        await logBookingAttempt(booking.id, 'auto_attempt', 'failed',
+            `${result.message || result.error || 'Unknown error'}${describeLostSlots(result)}`, result);
+
+        console.log(`⏳ No slots available for ${booking.date}: ${result.message || result.error}`);
+    }
+
+    return result;
+}
+
 // Process a booking
-async function processBooking(booking, userSettings) {
+async function processBooking(row, userSettings) {
+    const booking = parseJsonColumns(row);
     try {
         console.log(`📅 Processing booking for ${booking.date}`);
 
@@ -127,34 +576,35 @@ async function processBooking(booking, userSettings) {
             );
         }
 
-        // Get guest list
-        const [guests] = await pool.query(
-            'SELECT * FROM guest_list WHERE is_active = 1 LIMIT 3'
-        );
+        // Get the players chosen for this booking
+        const partySize = booking.party_size || 4;
+        const guests = await getBookingGuests(booking.id);
 
-        if (guests.length < 3) {
+        if (guests.length < partySize - 1) {
             throw new Error('Not enough guests configured');
         }
 
         // Ensure date is a proper Date object
-        let bookingDate;
-        if (typeof booking.date === 'string') {
-            if (booking.date.match(/^\d{4}-\d{2}-\d{2}$/)) {
-                bookingDate = new Date(booking.date + 'T12:00:00');
-            } else {
-                bookingDate = new Date(booking.date);
-            }
-        } else {
-            bookingDate = new Date(booking.date);
-        }
-        
+        const bookingDate = toBookingDate(booking.date);
 
         // Try to book
         const result = await bookingService.findAndBookBestSlot(
             bookingDate,
             booking.preferred_time,
             booking.max_time,
-            guests
+            guests,
+            false,
+            {
+                partySize,
+                roundLength: booking.round_length || 18,
+                teePreference: booking.tee_preference || 'either',
+                rankingStrategy: booking.ranking_strategy || DEFAULT_RANKING_STRATEGY,
+                rankingWeights: booking.ranking_weights || undefined,
+                timeWindows: booking.time_windows || undefined,
+                memberTransport: booking.member_transport || undefined,
+                comments: booking.comments || '',
+                notes: booking.notes || ''
+            }
         );
 
         return result;
@@ -283,6 +733,7 @@ app.post('/api/settings/credentials', authenticateToken, async (req, res) => {
                     [username, encryptedPassword, authResult.token, '']
                 );
             }
+            transportOptionsCheckedAt = 0; // read the club's transport options with the new login
 
             res.json({ success: true, message: 'Credentials verified and saved successfully!' });
         } else {
@@ -294,81 +745,1010 @@ app.post('/api/settings/credentials', authenticateToken, async (req, res) => {
     }
 });
 
-// Get weekend auto-booking settings
-app.get('/api/weekend-settings', authenticateToken, async (req, res) => {
+// Guest list routes
+
+// Get all guests (active and inactive) in booking order
+app.get('/api/guests', authenticateToken, async (req, res) => {
+    try {
+        const [rows] = await pool.query('SELECT * FROM guest_list ORDER BY sort_order ASC, id ASC');
+        res.json(rows);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Add a guest
+app.post('/api/guests', authenticateToken, async (req, res) => {
+    try {
+        const { name, playerId, playerType, transport, isActive } = req.body;
+
+        if (!name || !playerId) {
+            return res.status(400).json({ error: 'Name and site player ID are required' });
+        }
+
+        const [[{ nextOrder }]] = await pool.query(
+            'SELECT COALESCE(MAX(sort_order), 0) + 1 AS nextOrder FROM guest_list'
+        );
+
+        const [result] = await pool.query(
+            'INSERT INTO guest_list (name, player_id, player_type, transport, is_active, sort_order) VALUES (?, ?, ?, ?, ?, ?)',
+            [name, playerId, playerType || 'Guest', transport || 'Riding with Caddie', isActive === false ? 0 : 1, nextOrder]
+        );
+
+        res.json({ success: true, id: result.insertId });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// The club's transport options rarely change (and every booking dialog refreshes them), so the
+// dialog is read for them at most this often
+const TRANSPORT_OPTIONS_REFRESH_MS = 6 * 60 * 60 * 1000;
+let transportOptionsCheckedAt = 0;
+
+// Transport options ([{ value, text }]) from memory, reading the club's dialog when the list is
+// stale; the defaults until credentials are configured or the club can be read
+async function getTransportOptionsList() {
+    const [userSettings] = await pool.query('SELECT username FROM user_settings WHERE id = 1');
+
+    if (userSettings[0]?.username && Date.now() - transportOptionsCheckedAt > TRANSPORT_OPTIONS_REFRESH_MS) {
+        transportOptionsCheckedAt = Date.now();
+        try {
+            await authenticateWithStoredCredentials(lookupService);
+            await lookupService.getTransportOptions();
+        } catch (error) {
+            console.error('Could not read transport options from the club, using the known list:', error.message);
+        }
+    }
+
+    // Bookings refresh the booking service's list, so it's the newer one once there is any
+    return bookingService.transportOptions || lookupService.getKnownTransportOptions();
+}
+
+// Check the member's and guests' transports of a request against the club's options, so a typo
+// is caught now rather than as TRANSPORT_UNAVAILABLE at the launch. Returns an error or null
+async function validateTransports(memberTransport, guestTransports = {}) {
+    if (guestTransports !== null && (typeof guestTransports !== 'object' || Array.isArray(guestTransports))) {
+        return 'Guest transports must map guest ids to transports';
+    }
+    const wanted = [memberTransport, ...Object.values(guestTransports || {})].filter(Boolean);
+    if (wanted.length === 0) return null;
+
+    const options = await getTransportOptionsList();
+    const known = options.map(option => option.text.toLowerCase());
+    const unknown = wanted.find(transport => !known.includes(String(transport).toLowerCase()));
+
+    return unknown === undefined
+        ? null
+        : `Unknown transport "${unknown}" - choose one of: ${options.map(option => option.text).join(', ')}`;
+}
+
+// Get the transport options (walking, cart, caddie...) offered by the booking dialog
+app.get('/api/transport-options', authenticateToken, async (req, res) => {
+    try {
+        res.json({ success: true, options: await getTransportOptionsList() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Import the member/guest directory from the club site
+// New players are added inactive; existing players keep their names (they may have been edited
+// on the Guests tab) unless they have none. The whole sync is one transaction
+app.post('/api/guests/import', authenticateToken, async (req, res) => {
+    try {
+        await authenticateWithStoredCredentials(lookupService);
+
+        const players = await lookupService.getPlayerDirectory();
+        console.log(`👥 Found ${players.length} players in club directory`);
+
+        const connection = await pool.getConnection();
+        let added = 0;
+        let named = 0;
+        try {
+            await connection.beginTransaction();
+
+            const [existing] = await connection.query('SELECT id, name, player_id, player_type FROM guest_list FOR UPDATE');
+            const existingByKey = new Map(existing.map(row => [`${row.player_id}_${row.player_type}`, row]));
+
+            const [[{ maxOrder }]] = await connection.query(
+                'SELECT COALESCE(MAX(sort_order), 0) AS maxOrder FROM guest_list'
+            );
+
+            const newRows = [];
+            const seen = new Set();
+            let nextOrder = maxOrder + 1;
+
+            for (const player of players) {
+                const key = `${player.playerId}_${player.playerType}`;
+                if (seen.has(key)) continue;
+                seen.add(key);
+
+                const row = existingByKey.get(key);
+                if (!row) {
+                    newRows.push([player.name, player.playerId, player.playerType, 0, nextOrder++]);
+                } else if (!row.name?.trim() && player.name) {
+                    await connection.query('UPDATE guest_list SET name = ? WHERE id = ?', [player.name, row.id]);
+                    named++;
+                }
+            }
+
+            if (newRows.length > 0) {
+                await connection.query(
+                    'INSERT INTO guest_list (name, player_id, player_type, is_active, sort_order) VALUES ?',
+                    [newRows]
+                );
+            }
+            added = newRows.length;
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        res.json({
+            success: true,
+            found: players.length,
+            added,
+            updated: named,
+            message: `Imported ${players.length} players (${added} new${named > 0 ? `, ${named} missing names filled in` : ''})`
+        });
+    } catch (error) {
+        console.error('Guest import error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Save guest order - body is { ids: [...] } in the desired order
+app.put('/api/guests/order', authenticateToken, async (req, res) => {
+    try {
+        const { ids } = req.body;
+
+        if (!Array.isArray(ids)) {
+            return res.status(400).json({ error: 'ids must be an array' });
+        }
+
+        for (let i = 0; i < ids.length; i++) {
+            await pool.query('UPDATE guest_list SET sort_order = ? WHERE id = ?', [i + 1, ids[i]]);
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Update a guest (also used to activate/deactivate)
+app.put('/api/guests/:id', authenticateToken, async (req, res) => {
+    try {
+        const { name, playerId, playerType, transport, isActive } = req.body;
+
+        if (!name || !playerId) {
+            return res.status(400).json({ error: 'Name and site player ID are required' });
+        }
+
+        const updates = {
+            name,
+            player_id: playerId,
+            player_type: playerType || 'Guest',
+            transport: transport || 'Riding with Caddie'
+        };
+        // Left as it is unless sent, so renaming a guest doesn't deactivate them
+        if (isActive !== undefined) {
+            updates.is_active = isActive ? 1 : 0;
+        }
+
+        const [result] = await pool.query('UPDATE guest_list SET ? WHERE id = ?', [updates, req.params.id]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Guest not found' });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Delete a guest
+app.delete('/api/guests/:id', authenticateToken, async (req, res) => {
+    try {
+        // A guest still playing in an upcoming booking or recurring rule would shrink its foursome
+        const [bookings] = await pool.query(
+            `SELECT DISTINCT DATE_FORMAT(bp.date, '%Y-%m-%d') AS date FROM booking_players p
+             JOIN booking_preferences bp ON bp.id = p.preference_id
+             WHERE p.guest_id = ? AND bp.date >= CURDATE() AND bp.status IN ('pending', 'processing', 'watching', 'booked')
+             ORDER BY date`,
+            [req.params.id]
+        );
+        const [rules] = await pool.query(
+            'SELECT name FROM recurring_rules WHERE JSON_CONTAINS(guest_ids, CAST(? AS JSON))',
+            [String(Number(req.params.id))]
+        );
+        if (bookings.length > 0 || rules.length > 0) {
+            const uses = [
+                ...bookings.map(booking => `booking ${booking.date}`),
+                ...rules.map(rule => `rule "${rule.name}"`)
+            ];
+            return res.status(409).json({
+                error: `Guest is in the foursome of ${uses.join(', ')} - change those players first or mark the guest inactive`
+            });
+        }
+
+        // Remove the guest from past booking foursomes first (foreign key constraint)
+        await pool.query('DELETE FROM booking_players WHERE guest_id = ?', [req.params.id]);
+
+        const [result] = await pool.query('DELETE FROM guest_list WHERE id = ?', [req.params.id]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Guest not found' });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Weekend settings as they are applied: defaults filled in for anything not saved yet
+function withWeekendDefaults(row) {
+    const settings = parseJsonColumns(row);
+    return {
+        ...settings,
+        time_windows: weekendAutomation.getTimeWindows(settings),
+        sunday_time_windows: settings.sunday_time_windows || null,
+        party_size: weekendAutomation.getPartySize(settings),
+        max_booked_weekends: weekendAutomation.getMaxWeekendBookings(settings),
+        saturday_enabled: weekendAutomation.isDayEnabled(settings, 6),
+        sunday_enabled: weekendAutomation.isDayEnabled(settings, 0),
+        holidays_enabled: weekendAutomation.isHolidaysEnabled(settings),
+        fallback_enabled: weekendAutomation.isFallbackEnabled(settings)
+    };
+}
+
+// Get weekend auto-booking settings
+app.get('/api/weekend-settings', authenticateToken, async (req, res) => {
+    try {
+        const [settings] = await pool.query('SELECT * FROM weekend_auto_settings WHERE user_id = 1');
+
+        if (settings.length === 0) {
+            // Create default settings
+            await pool.query(
+                'INSERT INTO weekend_auto_settings (user_id) VALUES (1)'
+            );
+            const [newSettings] = await pool.query('SELECT * FROM weekend_auto_settings WHERE user_id = 1');
+            res.json(withWeekendDefaults(newSettings[0]));
+        } else {
+            res.json(withWeekendDefaults(settings[0]));
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Update weekend auto-booking settings (ENHANCED VERSION)
+app.post('/api/weekend-settings', authenticateToken, async (req, res) => {
+    try {
+        const {
+            enabled, roundLength, comments, notes, partySize, maxBookedWeekends,
+            saturdayEnabled, sundayEnabled, holidaysEnabled, fallbackEnabled
+        } = req.body;
+
+        // Only the fields sent are changed (column -> new value)
+        const updates = {};
+
+        if (enabled !== undefined) {
+            updates.is_enabled = enabled;
+        }
+
+        if (roundLength !== undefined) {
+            if (parseInt(roundLength) !== 18 && parseInt(roundLength) !== 9) {
+                return res.status(400).json({ error: 'Round length must be 9 or 18 holes' });
+            }
+            updates.round_length = parseInt(roundLength);
+        }
+
+        // Trimmed before the length check, like parseRecurringRule; null or empty clears the field
+        if (comments !== undefined) {
+            updates.comments = String(comments ?? '').trim() || null;
+        }
+        if (notes !== undefined) {
+            updates.notes = String(notes ?? '').trim() || null;
+        }
+        if ((updates.comments && updates.comments.length > 255) || (updates.notes && updates.notes.length > 255)) {
+            return res.status(400).json({ error: 'Comments and notes are limited to 255 characters' });
+        }
+
+        if (partySize !== undefined) {
+            if (!(parseInt(partySize) >= 1 && parseInt(partySize) <= 4)) {
+                return res.status(400).json({ error: 'Party size must be between 1 and 4' });
+            }
+            updates.party_size = parseInt(partySize);
+        }
+
+        if (maxBookedWeekends !== undefined) {
+            if (!(parseInt(maxBookedWeekends) >= 1 && parseInt(maxBookedWeekends) <= 12)) {
+                return res.status(400).json({ error: 'Max booked weekends must be between 1 and 12' });
+            }
+            updates.max_booked_weekends = parseInt(maxBookedWeekends);
+        }
+
+        if (saturdayEnabled !== undefined) {
+            updates.saturday_enabled = saturdayEnabled ? 1 : 0;
+        }
+        if (sundayEnabled !== undefined) {
+            updates.sunday_enabled = sundayEnabled ? 1 : 0;
+        }
+        if (holidaysEnabled !== undefined) {
+            updates.holidays_enabled = holidaysEnabled ? 1 : 0;
+        }
+        if (fallbackEnabled !== undefined) {
+            updates.fallback_enabled = fallbackEnabled ? 1 : 0;
+        }
+
+        // Saturday windows (also used on Sundays unless sundayTimeWindows is set)
+        if (req.body.timeWindows !== undefined) {
+            const parsed = parseTimeWindows(req.body.timeWindows);
+            if (parsed.error) {
+                return res.status(400).json({ error: parsed.error });
+            }
+            updates.time_windows = JSON.stringify(parsed.windows);
+        }
+
+        // null clears Sunday's own windows so it follows Saturday again
+        if (req.body.sundayTimeWindows !== undefined) {
+            if (req.body.sundayTimeWindows === null) {
+                updates.sunday_time_windows = null;
+            } else {
+                const parsed = parseTimeWindows(req.body.sundayTimeWindows);
+                if (parsed.error) {
+                    return res.status(400).json({ error: `Sunday: ${parsed.error}` });
+                }
+                updates.sunday_time_windows = JSON.stringify(parsed.windows);
+            }
+        }
+
+        if (Object.keys(updates).length > 0) {
+            await pool.query('UPDATE weekend_auto_settings SET ? WHERE user_id = 1', [updates]);
+        }
+
+        if (enabled === undefined) {
+            return res.json({ success: true, message: 'Weekend settings saved' });
+        }
+
+        // If enabling, immediately run catch-up check
+        if (enabled && weekendAutomation) {
+            console.log('🚀 Weekend auto-booking enabled - running immediate catch-up check...');
+
+            // Run catch-up in background (don't wait for it)
+            setTimeout(async () => {
+                await weekendAutomation.executeCatchUpBookings();
+            }, 1000);
+
+            res.json({
+                success: true,
+                message: `Weekend auto-booking enabled! Running immediate check for available weekends...`
+            });
+        } else {
+            res.json({
+                success: true,
+                message: `Weekend auto-booking ${enabled ? 'enabled' : 'disabled'}`
+            });
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get cancellation watch settings
+app.get('/api/watch-settings', authenticateToken, async (req, res) => {
+    try {
+        res.json(await cancellationWatcher.getSettings());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Update cancellation watch settings
+app.post('/api/watch-settings', authenticateToken, async (req, res) => {
+    try {
+        const intervalMinutes = parseInt(req.body.intervalMinutes);
+        const fastIntervalMinutes = parseInt(req.body.fastIntervalMinutes);
+        const cutoffHours = parseInt(req.body.cutoffHours);
+
+        if (!(intervalMinutes >= 1) || !(fastIntervalMinutes >= 1) || !(cutoffHours >= 0)) {
+            return res.status(400).json({ error: 'Intervals must be at least 1 minute and the cutoff 0 hours or more' });
+        }
+
+        if (fastIntervalMinutes > intervalMinutes) {
+            return res.status(400).json({ error: 'Fast interval cannot be longer than the normal interval' });
+        }
+
+        await pool.query(
+            `INSERT INTO cancellation_watch_settings (user_id, interval_minutes, fast_interval_minutes, cutoff_hours)
+             VALUES (1, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE interval_minutes = VALUES(interval_minutes),
+                 fast_interval_minutes = VALUES(fast_interval_minutes), cutoff_hours = VALUES(cutoff_hours)`,
+            [intervalMinutes, fastIntervalMinutes, cutoffHours]
+        );
+
+        res.json({ success: true, message: 'Cancellation watch settings saved' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get the booking window policy (when the club opens each date)
+app.get('/api/booking-window', authenticateToken, async (req, res) => {
+    try {
+        res.json({
+            ...bookingWindowPolicy.policy,
+            description: bookingWindowPolicy.describe(),
+            serverTimeZone: getSystemTimeZone()
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Update the booking window policy; the launch crons are rescheduled from it
+app.post('/api/booking-window', authenticateToken, async (req, res) => {
+    try {
+        const parseLeadDays = value => {
+            const leadDays = parseInt(value);
+            return leadDays >= 0 && leadDays <= 30 ? leadDays : null;
+        };
+        const parseOpenTime = value => /^\d{2}:\d{2}(:\d{2})?$/.test(value || '') ? `${value.slice(0, 5)}:00` : null;
+
+        const leadDays = parseLeadDays(req.body.leadDays);
+        const openTime = parseOpenTime(req.body.openTime);
+        if (leadDays === null || !openTime) {
+            return res.status(400).json({ error: 'Lead days must be 0-30 and the open time HH:MM' });
+        }
+
+        const timeZone = req.body.timeZone || bookingWindowPolicy.timeZone;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+        } catch {
+            return res.status(400).json({ error: `Unknown time zone: ${timeZone}` });
+        }
+        // Opening times are stored in the server's wall-clock time, see bookingWindowPolicy.js
+        if (!isSameTimeZone(timeZone, getSystemTimeZone())) {
+            return res.status(400).json({
+                error: `Time zone must match the server's TZ (${getSystemTimeZone()}); set TZ and restart to use ${timeZone}`
+            });
+        }
+
+        // Overrides per play weekday; an empty field falls back to the default
+        const dayOverrides = {};
+        for (const [day, override] of Object.entries(req.body.dayOverrides || {})) {
+            if (!/^[0-6]$/.test(day)) {
+                return res.status(400).json({ error: 'Override days must be 0 (Sunday) to 6 (Saturday)' });
+            }
+
+            const parsed = {};
+            if (override?.leadDays !== undefined && override.leadDays !== '' && override.leadDays !== null) {
+                parsed.leadDays = parseLeadDays(override.leadDays);
+                if (parsed.leadDays === null) {
+                    return res.status(400).json({ error: 'Override lead days must be 0-30' });
+                }
+            }
+            if (override?.openTime) {
+                parsed.openTime = parseOpenTime(override.openTime);
+                if (!parsed.openTime) {
+                    return res.status(400).json({ error: 'Override open times must be HH:MM' });
+                }
+            }
+            if (Object.keys(parsed).length > 0) {
+                dayOverrides[day] = parsed;
+            }
+        }
+
+        await bookingWindowPolicy.save({ leadDays, openTime, timeZone, dayOverrides });
+        scheduleLaunchCrons();
+
+        // Pending manual bookings follow the new policy, unless the club's countdown already confirmed their time
+        const [pending] = await pool.query(
+            `SELECT id, date FROM booking_preferences
+             WHERE status = 'pending' AND booking_type = 'manual' AND NOT opens_at_confirmed`
+        );
+        for (const booking of pending) {
+            await pool.query(
+                'UPDATE booking_preferences SET booking_opens_at = ? WHERE id = ?',
+                [bookingWindowPolicy.getOpensAt(new Date(booking.date)), booking.id]
+            );
+            // Rescheduled from the new time by the minute cron
+            launchScheduler.cancel(`manual:${booking.id}`);
+        }
+
+        res.json({ success: true, message: `Booking window saved: ${bookingWindowPolicy.describe()}` });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get upcoming weekends status
+app.get('/api/upcoming-weekends', authenticateToken, async (req, res) => {
+    try {
+        const weekends = await weekendAutomation.getUpcomingWeekends();
+        res.json(weekends);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get weekend booking history
+app.get('/api/weekend-history', authenticateToken, async (req, res) => {
+    try {
+        const [history] = await pool.query(
+            `SELECT * FROM weekend_booking_history 
+             ORDER BY created_at DESC 
+             LIMIT 20`
+        );
+        res.json(history);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Recurring rule routes
+
+// Run a recurring catch-up in the background after rules change
+function scheduleRecurringCatchUp() {
+    setTimeout(async () => {
+        await recurringAutomation.executeCatchUpBookings();
+    }, 1000);
+}
+
+// Get recurring rules with their upcoming dates
+app.get('/api/recurring-rules', authenticateToken, async (req, res) => {
+    try {
+        const rules = await recurringAutomation.getRules();
+        const result = [];
+
+        for (const rule of rules) {
+            result.push({
+                id: rule.id,
+                name: rule.name,
+                days_of_week: rule.days,
+                time_windows: rule.time_windows,
+                party_size: rule.party_size,
+                round_length: rule.round_length,
+                guest_ids: rule.guest_ids || [],
+                start_date: rule.start_key,
+                end_date: rule.end_key,
+                comments: rule.comments,
+                notes: rule.notes,
+                is_enabled: !!rule.is_enabled,
+                upcoming: rule.is_enabled ? await recurringAutomation.getUpcoming(rule) : []
+            });
+        }
+
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Add a recurring rule
+app.post('/api/recurring-rules', authenticateToken, async (req, res) => {
+    try {
+        const parsed = parseRecurringRule(req.body);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+
+        const [result] = await pool.query('INSERT INTO recurring_rules SET ?', [{ user_id: 1, ...parsed.rule }]);
+
+        if (parsed.rule.is_enabled) {
+            scheduleRecurringCatchUp();
+        }
+
+        res.json({ success: true, id: result.insertId });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Replace a recurring rule
+app.put('/api/recurring-rules/:id', authenticateToken, async (req, res) => {
+    try {
+        const parsed = parseRecurringRule(req.body);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+
+        const [result] = await pool.query(
+            'UPDATE recurring_rules SET ? WHERE id = ? AND user_id = 1',
+            [parsed.rule, req.params.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+
+        if (parsed.rule.is_enabled) {
+            scheduleRecurringCatchUp();
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Turn a recurring rule on or off
+app.patch('/api/recurring-rules/:id', authenticateToken, async (req, res) => {
+    try {
+        if (req.body.enabled === undefined) {
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
+
+        const [result] = await pool.query(
+            'UPDATE recurring_rules SET is_enabled = ? WHERE id = ? AND user_id = 1',
+            [req.body.enabled ? 1 : 0, req.params.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+
+        if (req.body.enabled) {
+            scheduleRecurringCatchUp();
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Delete a recurring rule (dates it already booked stay booked)
+app.delete('/api/recurring-rules/:id', authenticateToken, async (req, res) => {
+    try {
+        const [result] = await pool.query(
+            'DELETE FROM recurring_rules WHERE id = ? AND user_id = 1',
+            [req.params.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Holidays - weekend automation books these like weekend days when holidays are switched on
+
+// Federal and custom holidays for the coming year
+app.get('/api/holidays', authenticateToken, async (req, res) => {
+    try {
+        const today = weekendAutomation.getCurrentEDT();
+        const nextYear = new Date(today);
+        nextYear.setFullYear(nextYear.getFullYear() + 1);
+
+        res.json(await weekendAutomation.holidayCalendar.getHolidays(
+            weekendAutomation.formatDate(today),
+            weekendAutomation.formatDate(nextYear)
+        ));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Add a custom holiday (e.g. a club event day)
+app.post('/api/holidays', authenticateToken, async (req, res) => {
+    try {
+        const { date } = req.body;
+        const name = (req.body.name || '').trim();
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+            return res.status(400).json({ error: 'Date must be YYYY-MM-DD' });
+        }
+        if (!name || name.length > 100) {
+            return res.status(400).json({ error: 'Give the holiday a name (up to 100 characters)' });
+        }
+
+        const [result] = await pool.query(
+            'INSERT INTO custom_holidays (user_id, date, name) VALUES (1, ?, ?)',
+            [date, name]
+        );
+        res.json({ success: true, id: result.insertId });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Remove a custom holiday (federal holidays can't be removed, switch holidays off instead)
+app.delete('/api/holidays/:id', authenticateToken, async (req, res) => {
+    try {
+        const [result] = await pool.query(
+            'DELETE FROM custom_holidays WHERE id = ? AND user_id = 1',
+            [req.params.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Holiday not found' });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Blackout dates (vacation holds) - weekend and recurring automation skip these
+
+// Get current and future blackouts
+app.get('/api/blackout-dates', authenticateToken, async (req, res) => {
+    try {
+        res.json(await weekendAutomation.getBlackouts());
+    } catch (error) {
+        console.error('Error loading blackout dates:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Add a blackout date or range
+app.post('/api/blackout-dates', authenticateToken, async (req, res) => {
     try {
-        const [settings] = await pool.query('SELECT * FROM weekend_auto_settings WHERE user_id = 1');
-
-        if (settings.length === 0) {
-            // Create default settings
-            await pool.query(
-                'INSERT INTO weekend_auto_settings (user_id) VALUES (1)'
-            );
-            const [newSettings] = await pool.query('SELECT * FROM weekend_auto_settings WHERE user_id = 1');
-            res.json(newSettings[0]);
-        } else {
-            res.json(settings[0]);
+        const parsed = parseBlackout(req.body);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
         }
+
+        const [result] = await pool.query('INSERT INTO blackout_dates SET ?', [{ user_id: 1, ...parsed.blackout }]);
+        res.json({ success: true, id: result.insertId });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Update weekend auto-booking settings (ENHANCED VERSION)
-app.post('/api/weekend-settings', authenticateToken, async (req, res) => {
+// Change a blackout's dates or reason
+app.put('/api/blackout-dates/:id', authenticateToken, async (req, res) => {
     try {
-        const { enabled } = req.body;
+        const parsed = parseBlackout(req.body);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
 
-        await pool.query(
-            'UPDATE weekend_auto_settings SET is_enabled = ? WHERE user_id = 1',
-            [enabled]
+        const [result] = await pool.query(
+            'UPDATE blackout_dates SET ? WHERE id = ? AND user_id = 1',
+            [parsed.blackout, req.params.id]
         );
 
-        // If enabling, immediately run catch-up check
-        if (enabled && weekendAutomation) {
-            console.log('🚀 Weekend auto-booking enabled - running immediate catch-up check...');
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Blackout not found' });
+        }
 
-            // Run catch-up in background (don't wait for it)
-            setTimeout(async () => {
-                await weekendAutomation.executeCatchUpBookings();
-            }, 1000);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
 
-            res.json({
-                success: true,
-                message: `Weekend auto-booking enabled! Running immediate check for available weekends...`
-            });
-        } else {
-            res.json({
-                success: true,
-                message: `Weekend auto-booking ${enabled ? 'enabled' : 'disabled'}`
-            });
+// Remove a blackout; automation picks the dates up again on its next run
+app.delete('/api/blackout-dates/:id', authenticateToken, async (req, res) => {
+    try {
+        const [result] = await pool.query(
+            'DELETE FROM blackout_dates WHERE id = ? AND user_id = 1',
+            [req.params.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Blackout not found' });
         }
+
+        res.json({ success: true });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Get upcoming weekends status
-app.get('/api/upcoming-weekends', authenticateToken, async (req, res) => {
+// Club reservation routes
+
+// Get the member's upcoming reservations on the club site
+app.get('/api/reservations', authenticateToken, async (req, res) => {
     try {
-        const weekends = await weekendAutomation.getUpcomingWeekends();
-        res.json(weekends);
+        await authenticateWithStoredCredentials(lookupService);
+        const reservations = await lookupService.getReservations();
+        res.json({ success: true, reservations });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Get weekend booking history
-app.get('/api/weekend-history', authenticateToken, async (req, res) => {
+// Cancel a reservation on the club site
+app.delete('/api/reservations/:id', authenticateToken, async (req, res) => {
     try {
-        const [history] = await pool.query(
-            `SELECT * FROM weekend_booking_history 
-             ORDER BY created_at DESC 
-             LIMIT 20`
-        );
-        res.json(history);
+        if (!/^\d+$/.test(req.params.id)) {
+            return res.status(400).json({ success: false, error: 'Invalid reservation id' });
+        }
+
+        await authenticateWithStoredCredentials(lookupService);
+        // Looked up first, to find the booking it belonged to once it's gone from the list
+        const reservation = (await lookupService.getReservations().catch(() => []))
+            .find(r => r.reservationId === req.params.id);
+        const result = await lookupService.cancelReservation(req.params.id);
+
+        if (result.success) {
+            // The booking stays listed as cancelled, so automation doesn't book the date again
+            const released = reservation ? await releaseBookedPreference(reservation) : null;
+            if (released) {
+                console.log(`🗑️ Marked booking ${released} cancelled for reservation ${req.params.id}`);
+            }
+            res.json({ success: true, message: result.message });
+        } else {
+            res.status(502).json({ success: false, error: result.message, code: result.error });
+        }
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Delete a booking preference with its logs and players; false if there was none
+async function deleteBookingPreference(id) {
+    // Delete logs and players first (foreign key constraints)
+    await pool.query('DELETE FROM booking_logs WHERE preference_id = ?', [id]);
+    await pool.query('DELETE FROM booking_players WHERE preference_id = ?', [id]);
+
+    // Then delete the booking
+    const [result] = await pool.query(
+        'DELETE FROM booking_preferences WHERE id = ? AND user_id = 1',
+        [id]
+    );
+    return result.affectedRows > 0;
+}
+
+// The booked preference a club reservation belongs to: same date and same booked time.
+// Returns its id, or null when none matches (or the reservation's date or time can't be read)
+async function findBookedPreference(reservation) {
+    const reservationDate = new Date(reservation.date);
+    if (!reservation.date || isNaN(reservationDate.getTime()) || !reservation.time) return null;
+
+    const dateKey = `${reservationDate.getFullYear()}-${String(reservationDate.getMonth() + 1).padStart(2, '0')}-${String(reservationDate.getDate()).padStart(2, '0')}`;
+    const [preferences] = await pool.query(
+        `SELECT id, booked_time FROM booking_preferences
+         WHERE user_id = 1 AND date = ? AND status = 'booked' AND booked_time IS NOT NULL`,
+        [dateKey]
+    );
+
+    const reservationMinutes = bookingService.timeToMinutes(reservation.time);
+    const preference = preferences.find(p => bookingService.timeToMinutes(p.booked_time) === reservationMinutes);
+    return preference?.id || null;
+}
+
+// Mark the booked preference of a cancelled club reservation 'cancelled', keeping its logs.
+// Automation still sees the date as taken (so it isn't rebooked), but it no longer counts
+// toward the weekend cap. Returns the preference id, or null if none matched
+async function releaseBookedPreference(reservation) {
+    const preferenceId = await findBookedPreference(reservation);
+    if (!preferenceId) return null;
+
+    await pool.query(
+        `UPDATE booking_preferences SET status = 'cancelled', keep_improving = 0 WHERE id = ?`,
+        [preferenceId]
+    );
+    await logBookingAttempt(preferenceId, 'cancelled', 'info',
+        `Reservation ${reservation.reservationId} (${reservation.date} ${reservation.time}) cancelled on the club site`);
+    return preferenceId;
+}
+
+// Change a reservation's time and/or guests on the club site
+// Body: { time?, tee?, guestIds?, guestTransports?, memberTransport }
+app.patch('/api/reservations/:id', authenticateToken, async (req, res) => {
+    try {
+        const { time, tee, guestIds, guestTransports = {}, memberTransport } = req.body;
+
+        if (!/^\d+$/.test(req.params.id)) {
+            return res.status(400).json({ success: false, error: 'Invalid reservation id' });
+        }
+
+        if (!time && !guestIds) {
+            return res.status(400).json({ success: false, error: 'Nothing to change - give a new time or guests' });
+        }
+
+        if (guestIds && (!Array.isArray(guestIds) || guestIds.length > 3)) {
+            return res.status(400).json({ success: false, error: 'Choose up to 3 guests' });
+        }
+
+        const transportError = await validateTransports(memberTransport, guestTransports);
+        if (transportError) {
+            return res.status(400).json({ success: false, error: transportError });
+        }
+
+        await authenticateWithStoredCredentials(lookupService);
+
+        const reservations = await lookupService.getReservations();
+        const reservation = reservations.find(r => r.reservationId === req.params.id);
+        if (!reservation) {
+            return res.status(404).json({ success: false, error: 'Reservation not found on club site' });
+        }
+
+        const reservationDate = new Date(reservation.date);
+        if (!reservation.date || isNaN(reservationDate.getTime())) {
+            return res.status(502).json({ success: false, error: `Could not read reservation date "${reservation.date}"` });
+        }
+
+        const partySize = guestIds ? guestIds.length + 1 : Math.max(reservation.players.length, 1);
+        const changes = { memberTransport: memberTransport || undefined };
+
+        // Moving only to a slot that is open for the whole party
+        if (time) {
+            const teeSheet = await lookupService.getTeeSheet(reservationDate);
+            const slot = teeSheet.slots.find(s =>
+                s.time === time && (!tee || s.tee === tee) && s.availableSpots >= partySize
+            );
+            if (!slot) {
+                return res.status(409).json({ success: false, error: `${time} is not open for ${partySize} players` });
+            }
+            changes.slot = slot;
+        }
+
+        if (guestIds) {
+            const [rows] = guestIds.length > 0
+                ? await pool.query('SELECT * FROM guest_list WHERE id IN (?)', [guestIds])
+                : [[]];
+            const guests = guestIds.map(id => rows.find(row => row.id === Number(id)));
+            if (guests.some(guest => !guest)) {
+                return res.status(400).json({ success: false, error: 'Unknown guest selected' });
+            }
+            changes.guests = guests.map(guest => ({
+                ...guest,
+                transport: guestTransports[guest.id] || guest.transport
+            }));
+        }
+
+        // The booking preference for this reservation (same date and time), looked up before
+        // the change so its booked time still matches; kept in step with the club site below
+        const preferenceId = await findBookedPreference(reservation);
+
+        const result = await lookupService.modifyReservation(req.params.id, changes);
+
+        if (result.success && preferenceId) {
+            if (changes.slot) {
+                await recordBookedSlot(preferenceId, changes.slot);
+            }
+
+            if (guestIds) {
+                await pool.query(
+                    'UPDATE booking_preferences SET party_size = ? WHERE id = ?',
+                    [partySize, preferenceId]
+                );
+                await saveBookingGuests(preferenceId, guestIds, guestTransports);
+            }
+
+            if (memberTransport) {
+                await pool.query(
+                    'UPDATE booking_preferences SET member_transport = ? WHERE id = ?',
+                    [memberTransport, preferenceId]
+                );
+            }
+        }
+
+        if (preferenceId) {
+            const summary = [
+                changes.slot && `time ${reservation.time} → ${changes.slot.time}`,
+                changes.guests && `players: ${changes.guests.map(g => g.name).join(', ') || 'just you'}`
+            ].filter(Boolean).join('; ');
+
+            await logBookingAttempt(preferenceId, 'modified', result.success ? 'success' : 'failed',
+                result.success ? `Reservation changed (${summary})` : result.message, result);
+        }
+
+        if (result.success) {
+            res.json({ success: true, message: result.message, slot: changes.slot || null });
+        } else {
+            res.status(502).json({ success: false, error: result.message, code: result.error });
+        }
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
@@ -379,14 +1759,33 @@ app.get('/api/bookings', authenticateToken, async (req, res) => {
             `SELECT id, user_id, DATE_FORMAT(date, '%c/%e/%Y') as date_formatted,
                     DATE_FORMAT(date, '%M %e, %Y') as date_long_format,
                  date as date_raw, preferred_time, max_time, status, attempts,
-                 last_attempt, booking_opens_at, created_at, booking_type
+                 last_attempt, booking_opens_at, opens_at_confirmed, created_at, booking_type, party_size, round_length, tee_preference,
+                 ranking_strategy, ranking_weights, time_windows, member_transport, comments, notes, keep_improving, booked_time, booked_tee
              FROM booking_preferences
              WHERE date >= CURDATE()
              ORDER BY date ASC, preferred_time ASC`
         );
 
+        // Load chosen players for all listed bookings
+        const playersByBooking = {};
+        if (rows.length > 0) {
+            const [players] = await pool.query(
+                `SELECT bp.preference_id, g.id, g.name, COALESCE(bp.transport, g.transport) AS transport FROM booking_players bp
+                 JOIN guest_list g ON g.id = bp.guest_id
+                 WHERE bp.preference_id IN (?)
+                 ORDER BY bp.position ASC`,
+                [rows.map(row => row.id)]
+            );
+            for (const player of players) {
+                if (!playersByBooking[player.preference_id]) {
+                    playersByBooking[player.preference_id] = [];
+                }
+                playersByBooking[player.preference_id].push({ id: player.id, name: player.name, transport: player.transport });
+            }
+        }
+
         // Format dates properly for frontend display
-        const formattedRows = rows.map(row => {
+        const formattedRows = rows.map(parseJsonColumns).map(row => {
             const dateObj = new Date(row.date_raw);
             return {
                 ...row,
@@ -400,9 +1799,12 @@ app.get('/api/bookings', authenticateToken, async (req, res) => {
                     day: 'numeric'
                 }),
                 booking_opens_at: new Date(row.booking_opens_at).toLocaleString('en-US'),
+                booking_opens_at_ms: new Date(row.booking_opens_at).getTime(),
+                opens_at_confirmed: !!row.opens_at_confirmed,
                 created_at: new Date(row.created_at).toLocaleString('en-US'),
                 last_attempt: row.last_attempt ? new Date(row.last_attempt).toLocaleString('en-US') : null,
-                is_weekend_auto: row.booking_type === 'weekend_auto'
+                is_weekend_auto: row.booking_type === 'weekend_auto',
+                players: playersByBooking[row.id] || []
             };
         });
 
@@ -415,34 +1817,111 @@ app.get('/api/bookings', authenticateToken, async (req, res) => {
 // Add new booking preference (manual)
 app.post('/api/bookings', authenticateToken, async (req, res) => {
     try {
-        const { date, preferredTime, maxTime } = req.body;
+        const { date, guestIds = [], guestTransports = {} } = req.body;
+        let { preferredTime, maxTime } = req.body;
+        let timeWindows = null;
+        const memberTransport = req.body.memberTransport || null;
+        const comments = String(req.body.comments ?? '').trim() || null;
+        const notes = String(req.body.notes ?? '').trim() || null;
+        const keepImproving = req.body.keepImproving ? 1 : 0;
+
+        if ((comments && comments.length > 255) || (notes && notes.length > 255)) {
+            return res.status(400).json({ error: 'Comments and notes are limited to 255 characters' });
+        }
+        const partySize = parseInt(req.body.partySize) || 4;
+        const roundLength = parseInt(req.body.roundLength) || 18;
+        const teePreference = req.body.teePreference || 'either';
+        const rankingStrategy = req.body.rankingStrategy || DEFAULT_RANKING_STRATEGY;
 
         if (!date) {
             return res.status(400).json({ error: 'Date is required' });
         }
 
-        // Calculate when booking opens (1 week prior at 6:30 AM Eastern)
+        if (partySize < 1 || partySize > 4) {
+            return res.status(400).json({ error: 'Party size must be between 1 and 4' });
+        }
+
+        if (roundLength !== 18 && roundLength !== 9) {
+            return res.status(400).json({ error: 'Round length must be 9 or 18 holes' });
+        }
+
+        if (!TEE_PREFERENCES.includes(teePreference)) {
+            return res.status(400).json({ error: `Tee preference must be one of: ${TEE_PREFERENCES.join(', ')}` });
+        }
+
+        if (!RANKING_STRATEGY_NAMES.includes(rankingStrategy)) {
+            return res.status(400).json({ error: `Ranking strategy must be one of: ${RANKING_STRATEGY_NAMES.join(', ')}` });
+        }
+
+        const rankingWeights = parseRankingWeights(req.body.rankingWeights);
+        if (rankingWeights.error) {
+            return res.status(400).json({ error: rankingWeights.error });
+        }
+
+        // Several windows in priority order; the first also fills preferred_time/max_time
+        if (req.body.timeWindows !== undefined) {
+            const parsed = parseTimeWindows(req.body.timeWindows);
+            if (parsed.error) {
+                return res.status(400).json({ error: parsed.error });
+            }
+            timeWindows = parsed.windows;
+            preferredTime = timeWindows[0].start;
+            maxTime = timeWindows[0].end;
+        }
+
+        if (!Array.isArray(guestIds) || (guestIds.length !== 0 && guestIds.length !== partySize - 1)) {
+            return res.status(400).json({ error: `Choose exactly ${partySize - 1} guests, or none to use the guest list order` });
+        }
+
+        const guestError = await validateGuestIds(guestIds);
+        if (guestError) {
+            return res.status(400).json({ error: guestError });
+        }
+
+        const transportError = await validateTransports(memberTransport, guestTransports);
+        if (transportError) {
+            return res.status(400).json({ error: transportError });
+        }
+
+        // Calculate when booking opens (booking window policy, 7 days prior at 6:30 AM Eastern by default)
         // Ensure we use noon local time to avoid timezone conversion issues
         const bookingDate = new Date(date + 'T12:00:00');
-        const opensAt = new Date(bookingDate);
-        opensAt.setDate(opensAt.getDate() - 7);
-        opensAt.setHours(6, 30, 0, 0);
+        const opensAt = bookingWindowPolicy.getOpensAt(bookingDate);
 
         // Check for duplicate using the processed booking date
         const [existing] = await pool.query(
-            'SELECT id FROM booking_preferences WHERE user_id = 1 AND date = ?',
+            'SELECT id, status FROM booking_preferences WHERE user_id = 1 AND date = ?',
             [bookingDate]
         );
 
         if (existing.length > 0) {
-            return res.status(400).json({ error: 'Booking already exists for this date' });
+            return res.status(400).json({
+                error: existing[0].status === 'cancelled'
+                    ? 'A cancelled booking exists for this date - delete it first to book the date again'
+                    : 'Booking already exists for this date'
+            });
         }
 
-        // Store the processed date object (with proper timezone) instead of the raw string
-        const [result] = await pool.query(
-            'INSERT INTO booking_preferences (user_id, date, preferred_time, max_time, booking_opens_at, status, booking_type) VALUES (?, ?, ?, ?, ?, ?, ?)',
-            [1, bookingDate, preferredTime || '07:54:00', maxTime || '14:30:00', opensAt, 'pending', 'manual']
-        );
+        // The booking and its foursome are saved together or not at all
+        const connection = await pool.getConnection();
+        let result;
+        try {
+            await connection.beginTransaction();
+
+            // Store the processed date object (with proper timezone) instead of the raw string
+            [result] = await connection.query(
+                'INSERT INTO booking_preferences (user_id, date, preferred_time, max_time, party_size, round_length, tee_preference, ranking_strategy, ranking_weights, time_windows, member_transport, comments, notes, keep_improving, booking_opens_at, status, booking_type) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                [1, bookingDate, preferredTime || '07:54:00', maxTime || '14:30:00', partySize, roundLength, teePreference, rankingStrategy, rankingWeights.weights && JSON.stringify(rankingWeights.weights), timeWindows && JSON.stringify(timeWindows), memberTransport, comments, notes, keepImproving, opensAt, 'pending', 'manual']
+            );
+
+            await saveBookingGuests(result.insertId, guestIds, guestTransports, connection);
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
 
         await logBookingAttempt(result.insertId, 'created', 'info', `Manual booking scheduled for ${date}`);
 
@@ -457,22 +1936,40 @@ app.post('/api/bookings', authenticateToken, async (req, res) => {
     }
 });
 
-// Delete booking
-app.delete('/api/bookings/:id', authenticateToken, async (req, res) => {
+// Turn keep-improving mode on or off for a booking
+app.patch('/api/bookings/:id', authenticateToken, async (req, res) => {
     try {
-        // Delete logs first (foreign key constraint)
-        await pool.query('DELETE FROM booking_logs WHERE preference_id = ?', [req.params.id]);
+        if (req.body.keepImproving === undefined) {
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
 
-        // Then delete the booking
         const [result] = await pool.query(
-            'DELETE FROM booking_preferences WHERE id = ? AND user_id = 1',
-            [req.params.id]
+            'UPDATE booking_preferences SET keep_improving = ? WHERE id = ? AND user_id = 1',
+            [req.body.keepImproving ? 1 : 0, req.params.id]
         );
 
         if (result.affectedRows === 0) {
             return res.status(404).json({ error: 'Booking not found' });
         }
 
+        await logBookingAttempt(req.params.id, 'keep_improving', 'info',
+            `Keep improving ${req.body.keepImproving ? 'enabled' : 'disabled'}`);
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Delete booking
+app.delete('/api/bookings/:id', authenticateToken, async (req, res) => {
+    try {
+        const deleted = await deleteBookingPreference(req.params.id);
+
+        if (!deleted) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+
         res.json({ success: true });
     } catch (error) {
         console.error('Delete error:', error);
@@ -505,7 +2002,7 @@ app.post('/api/bookings/:id/trigger', authenticateToken, async (req, res) => {
             return res.status(404).json({ error: 'Booking not found' });
         }
 
-        const booking = bookings[0];
+        const booking = parseJsonColumns(bookings[0]);
         
         // Check if booking is already being processed
         if (booking.status === 'processing') {
@@ -581,112 +2078,70 @@ app.post('/api/bookings/:id/trigger', authenticateToken, async (req, res) => {
         });
 
         if (!teeSheet.available) {
+            await recordOpeningTime(booking, teeSheet.opensAt);
+
             return res.json({
                 success: false,
                 message: teeSheet.message || 'Tee sheet not available',
-                countdown: teeSheet.countdown
+                countdown: teeSheet.countdown,
+                opensAt: teeSheet.opensAt
             });
         }
 
-        // Filter by time preference
-        const preferredTimeMin = bookingService.timeToMinutes(booking.preferred_time);
-        const maxTimeMin = bookingService.timeToMinutes(booking.max_time);
-
-        console.log(`Time range: ${booking.preferred_time} (${preferredTimeMin} min) to ${booking.max_time} (${maxTimeMin} min)`);
-
-        // Try to find slots with priority: 4 spots > 3 spots > 2 spots > 1 spot
-        let availableSlots = [];
-        let slotsType = '';
-
-        // Priority 1: Try 4-person slots first
-        availableSlots = teeSheet.slots.filter(slot => {
-            const slotMin = bookingService.timeToMinutes(slot.time);
-            const inRange = slotMin >= preferredTimeMin && slotMin <= maxTimeMin;
-            const is4Spots = slot.availableSpots === 4;
-            console.log(`Checking slot ${slot.time} (${slotMin} min, ${slot.availableSpots}/4 spots): ${inRange && is4Spots ? 'PERFECT MATCH' : 'NO'}`);
-            return inRange && is4Spots;
-        });
-
-        if (availableSlots.length > 0) {
-            slotsType = '4-person (full)';
-            console.log(`✅ Found ${availableSlots.length} perfect 4-person slots`);
-        } else {
-            // Priority 2: Try 3-person slots
-            availableSlots = teeSheet.slots.filter(slot => {
-                const slotMin = bookingService.timeToMinutes(slot.time);
-                const inRange = slotMin >= preferredTimeMin && slotMin <= maxTimeMin;
-                const is3Spots = slot.availableSpots === 3;
-                console.log(`Checking slot ${slot.time} (${slotMin} min, ${slot.availableSpots}/4 spots): ${inRange && is3Spots ? 'GOOD MATCH' : 'NO'}`);
-                return inRange && is3Spots;
-            });
-
-            if (availableSlots.length > 0) {
-                slotsType = '3-person';
-                console.log(`⚡ Found ${availableSlots.length} good 3-person slots`);
-            } else {
-                // Priority 3: Try 2-person slots
-                availableSlots = teeSheet.slots.filter(slot => {
-                    const slotMin = bookingService.timeToMinutes(slot.time);
-                    const inRange = slotMin >= preferredTimeMin && slotMin <= maxTimeMin;
-                    const is2Spots = slot.availableSpots === 2;
-                    console.log(`Checking slot ${slot.time} (${slotMin} min, ${slot.availableSpots}/4 spots): ${inRange && is2Spots ? 'OK MATCH' : 'NO'}`);
-                    return inRange && is2Spots;
-                });
-
-                if (availableSlots.length > 0) {
-                    slotsType = '2-person';
-                    console.log(`⚠️ Found ${availableSlots.length} partial 2-person slots`);
-                } else {
-                    // Priority 4: Try 1-person slots (last resort)
-                    availableSlots = teeSheet.slots.filter(slot => {
-                        const slotMin = bookingService.timeToMinutes(slot.time);
-                        const inRange = slotMin >= preferredTimeMin && slotMin <= maxTimeMin;
-                        const is1Spot = slot.availableSpots === 1;
-                        console.log(`Checking slot ${slot.time} (${slotMin} min, ${slot.availableSpots}/4 spots): ${inRange && is1Spot ? 'LAST RESORT' : 'NO'}`);
-                        return inRange && is1Spot;
-                    });
-
-                    if (availableSlots.length > 0) {
-                        slotsType = '1-person (last resort)';
-                        console.log(`🚨 Found ${availableSlots.length} single spots (last resort)`);
-                    }
-                }
-            }
-        }
+        // Time windows in priority order (just preferred_time-max_time for single-range bookings)
+        const windows = bookingService.timeWindowsFor(booking.preferred_time, booking.max_time, booking.time_windows);
+
+        console.log(`Time windows: ${bookingService.describeTimeWindows(windows)}`);
+
+        // Only slots with room for the whole party that allow the round length and tee
+        const bookingOptions = {
+            partySize: booking.party_size || 4,
+            roundLength: booking.round_length || 18,
+            teePreference: booking.tee_preference || 'either',
+            rankingStrategy: booking.ranking_strategy || DEFAULT_RANKING_STRATEGY,
+            rankingWeights: booking.ranking_weights || undefined,
+            memberTransport: booking.member_transport || undefined,
+            comments: booking.comments || '',
+            notes: booking.notes || ''
+        };
+        const candidateSlots = bookingService.filterCandidateSlots(teeSheet.slots, bookingOptions);
 
-        console.log(`Found ${availableSlots.length} ${slotsType} slots in preferred time range`);
+        // Rank each window's slots by the booking's strategy (most spots, closest, earliest)
+        const rankedSlots = bookingService.rankSlotsInWindows(candidateSlots, windows, bookingOptions);
+        console.log(`Found ${rankedSlots.length} slots in ${windows.length} time window(s) (${bookingOptions.rankingStrategy} ranking)`);
 
-        if (availableSlots.length === 0) {
+        if (rankedSlots.length === 0) {
             return res.json({
                 success: false,
-                message: `No slots between ${booking.preferred_time} and ${booking.max_time}`,
+                message: windows.length === 1
+                    ? `No slots between ${booking.preferred_time} and ${booking.max_time}`
+                    : `No slots in ${bookingService.describeTimeWindows(windows)}`,
                 debug: {
                     totalAvailable: teeSheet.slots.length,
                     allSlots: teeSheet.slots.map(s => ({
                         time: s.time,
                         spots: s.availableSpots
                     })),
-                    preferredRange: `${booking.preferred_time} - ${booking.max_time}`,
-                    preferredMinutes: `${preferredTimeMin} - ${maxTimeMin} minutes`
+                    preferredRange: bookingService.describeTimeWindows(windows)
                 }
             });
         }
 
-        // Try to book
-        const targetSlot = availableSlots[0];
-        console.log('Attempting to book slot:', targetSlot);
+        // Try to book, moving on to the next slot if another member gets there first
+        console.log('Attempting to book slot:', rankedSlots[0]);
 
-        const [guests] = await pool.query('SELECT * FROM guest_list WHERE is_active = 1 LIMIT 3');
-        const result = await bookingService.makeReservation(targetSlot, guests, userSettings[0].username);
+        const guests = await getBookingGuests(booking.id);
+        const result = await bookingService.bookFirstAvailable(rankedSlots, guests, bookingOptions);
 
         if (result.success) {
             await pool.query(
                 'UPDATE booking_preferences SET status = ?, attempts = attempts + 1, last_attempt = NOW() WHERE id = ?',
                 ['booked', booking.id]
             );
+            await recordBookedSlot(booking.id, result.slot);
 
             await logBookingAttempt(booking.id, 'manual_trigger', 'success',
-                `Successfully booked: ${targetSlot.time}`, result);
+                `Successfully booked: ${result.slot?.time}${describeLostSlots(result)}`, result);
         } else {
             await pool.query(
                 'UPDATE booking_preferences SET status = ?, attempts = attempts + 1, last_attempt = NOW() WHERE id = ?',
@@ -694,7 +2149,7 @@ app.post('/api/bookings/:id/trigger', authenticateToken, async (req, res) => {
             );
 
             await logBookingAttempt(booking.id, 'manual_trigger', 'failed',
-                result.message || result.error || 'Unknown error', result);
+                `${result.message || result.error || 'Unknown error'}${describeLostSlots(result)}`, result);
         }
 
         res.json(result);
@@ -869,13 +2324,34 @@ app.get('/api/debug/slots', async (req, res) => {
     }
 });
 
+// Recent launch attempts with their timing, newest first
+app.get('/api/launches', authenticateToken, async (req, res) => {
+    try {
+        const [attempts] = await pool.query(
+            `SELECT id, launch_key, label, DATE_FORMAT(target_date, '%Y-%m-%d') AS target_date, attempt,
+                    opens_at, planned_at, sent_at, responded_at, outcome, message,
+                    TIMESTAMPDIFF(MICROSECOND, planned_at, sent_at) DIV 1000 AS late_ms,
+                    TIMESTAMPDIFF(MICROSECOND, sent_at, responded_at) DIV 1000 AS round_trip_ms
+             FROM launch_attempts
+             ORDER BY sent_at DESC, attempt DESC
+             LIMIT 200`
+        );
+
+        res.json({ launches: launchScheduler.getStatus(), attempts });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
     res.json({
         status: 'ok',
         timestamp: new Date().toISOString(),
         database: pool ? 'connected' : 'disconnected',
-        weekendAutomation: weekendAutomation ? 'enabled' : 'disabled'
+        weekendAutomation: weekendAutomation ? 'enabled' : 'disabled',
+        clubClock: clubClock.getStatus(),
+        launches: launchScheduler ? launchScheduler.getStatus() : []
     });
 });
 
@@ -970,10 +2446,9 @@ app.post('/api/weekend-attempt/:date', async (req, res) => {
 
         // Parse the date
         const targetDate = new Date(date + 'T12:00:00');
-        const dayOfWeek = targetDate.getDay();
 
-        if (dayOfWeek !== 0 && dayOfWeek !== 6) {
-            return res.status(400).json({ error: 'Date must be a Saturday or Sunday' });
+        if (!await weekendAutomation.getBookingReason(await weekendAutomation.getSettings(), targetDate)) {
+            return res.status(400).json({ error: 'Date must be a Saturday, Sunday or holiday that auto-booking covers' });
         }
 
         console.log(`⚡ Manual trigger for weekend booking: ${date}`);
@@ -1006,8 +2481,12 @@ app.post('/api/weekend-attempt/:date', async (req, res) => {
 // 1. EXISTING: Automated booking checker for manual bookings - runs every minute
 cron.schedule('* * * * *', async () => {
     try {
+        console.log(`🔄 Cron check at ${new Date().toLocaleTimeString()}`);
+
+        // Learn the real opening time of bookings about to open
+        await probeOpeningTimes();
+
         const now = new Date();
-        console.log(`🔄 Cron check at ${now.toLocaleTimeString()}`);
 
         // Find ALL pending MANUAL bookings with priority scheduling:
         // HIGH PRIORITY: Bookings opening within 1 minute (ignore cooldown)
@@ -1040,93 +2519,37 @@ cron.schedule('* * * * *', async () => {
             }
 
             for (const booking of pendingBookings) {
+                // The launch scheduler owns bookings around their opening moment
+                if (launchScheduler.isScheduled(`manual:${booking.id}`)) {
+                    console.log(`🚀 Booking ${booking.id} is with the launch scheduler, skipping`);
+                    continue;
+                }
+
+                const opensAt = new Date(booking.booking_opens_at);
+                const timeUntilOpen = opensAt - now;
+
+                // HIGH PRIORITY: opening within the minute - the launch scheduler times the attempts
+                if (timeUntilOpen > 0) {
+                    console.log(`🚨 HIGH PRIORITY booking ${booking.id} - opens in ${Math.round(timeUntilOpen / 1000)}s`);
+                    scheduleManualLaunch(booking);
+                    continue;
+                }
+
                 // Lock this booking to prevent race conditions with manual triggers
                 const [lockResult] = await pool.query(
                     'UPDATE booking_preferences SET status = ?, last_attempt = NOW() WHERE id = ? AND status = ?',
                     ['processing', booking.id, 'pending']
                 );
-                
+
                 // Skip if we couldn't get the lock (another process grabbed it)
                 if (lockResult.affectedRows === 0) {
                     console.log(`⚠️  Booking ${booking.id} is already being processed, skipping`);
                     continue;
                 }
-                
-                const opensAt = new Date(booking.booking_opens_at);
-                const timeUntilOpen = opensAt - now;
-                
-                // Check if this is a high priority booking (opening soon) or normal priority (already open)
-                const isHighPriority = timeUntilOpen > 0 && timeUntilOpen <= 60000;
-                const isNormalPriority = timeUntilOpen <= 0;
-                
-                if (isHighPriority) {
-                    console.log(`🚨 HIGH PRIORITY booking ${booking.id} - opens in ${Math.round(timeUntilOpen / 1000)}s`);
-                } else if (isNormalPriority) {
-                    console.log(`🔄 NORMAL PRIORITY booking ${booking.id} - window is open (opened ${Math.abs(Math.round(timeUntilOpen / 1000))}s ago)`);
-                }
-
-                // If booking opens in less than 30 seconds, wait for optimal timing
-                if (timeUntilOpen > 0 && timeUntilOpen < 30000) {
-                    console.log(`⏳ Manual booking window opens in ${Math.round(timeUntilOpen / 1000)}s - waiting...`);
-                    setTimeout(async () => {
-                        console.log(`🎯 Attempting manual booking for ${booking.date}`);
-
-                        await logBookingAttempt(booking.id, 'auto_attempt', 'info', 'Automated booking attempt started (optimal timing)');
-
-                        const result = await processBooking(booking, userSettings[0]);
-
-                        if (result.success) {
-                            await pool.query(
-                                'UPDATE booking_preferences SET status = ?, attempts = attempts + 1, last_attempt = NOW() WHERE id = ?',
-                                ['booked', booking.id]
-                            );
-
-                            await logBookingAttempt(booking.id, 'auto_attempt', 'success',
-                                `Successfully booked: ${result.slot?.time || 'Unknown time'}`, result);
-
-                            console.log(`✅ Successfully booked ${booking.date} at ${result.slot?.time}`);
-                        } else {
-                            await pool.query(
-                                'UPDATE booking_preferences SET status = ?, attempts = attempts + 1, last_attempt = NOW() WHERE id = ?',
-                                ['pending', booking.id]
-                            );
 
-                            await logBookingAttempt(booking.id, 'auto_attempt', 'failed',
-                                result.message || result.error || 'Unknown error', result);
-
-                            console.log(`❌ Failed to book ${booking.date}: ${result.message || result.error}`);
-                        }
-                    }, timeUntilOpen);
-                } else {
-                    // Either booking window is already open or far in future - check availability now
-                    console.log(`🎯 Checking availability for manual booking ${booking.date}`);
-
-                    await logBookingAttempt(booking.id, 'auto_attempt', 'info', 'Automated booking attempt started');
-
-                    const result = await processBooking(booking, userSettings[0]);
-
-                    if (result.success) {
-                        await pool.query(
-                            'UPDATE booking_preferences SET status = ?, attempts = attempts + 1, last_attempt = NOW() WHERE id = ?',
-                            ['booked', booking.id]
-                        );
-
-                        await logBookingAttempt(booking.id, 'auto_attempt', 'success',
-                            `Successfully booked: ${result.slot?.time || 'Unknown time'}`, result);
-
-                        console.log(`✅ Successfully booked ${booking.date} at ${result.slot?.time}`);
-                    } else {
-                        await pool.query(
-                            'UPDATE booking_preferences SET status = ?, attempts = attempts + 1, last_attempt = NOW() WHERE id = ?',
-                            ['pending', booking.id]
-                        );
-
-                        await logBookingAttempt(booking.id, 'auto_attempt', 'failed',
-                            result.message || result.error || 'Unknown error', result);
-
-                        console.log(`⏳ No slots available for ${booking.date}: ${result.message || result.error}`);
-                    }
-                }
+                // NORMAL PRIORITY: window already open - check availability now
+                console.log(`🔄 NORMAL PRIORITY booking ${booking.id} - window is open (opened ${Math.abs(Math.round(timeUntilOpen / 1000))}s ago)`);
+                await runManualAttempt(booking, userSettings[0], 'Automated booking attempt started');
             }
         }
     } catch (error) {
@@ -1144,48 +2567,127 @@ cron.schedule('* * * * *', async () => {
     }
 });
 
-// 2. NEW: Weekend catch-up mode - runs every 30 minutes
+// 2. NEW: Weekend and recurring catch-up mode - runs every 30 minutes
+// (one after the other: both book through weekendAutomation's booking lock)
 cron.schedule('*/30 * * * *', async () => {
     try {
         if (!weekendAutomation) return;
 
+        // A launch at an opening moment needs weekendAutomation's booking lock to itself
+        if (launchScheduler.hasActiveLaunches()) {
+            console.log('🚀 Launch in progress, skipping catch-up check');
+            return;
+        }
+
         const now = new Date();
         console.log(`🔄 [${now.toLocaleTimeString()}] Running weekend catch-up check...`);
 
         await weekendAutomation.executeCatchUpBookings();
+        await recurringAutomation.executeCatchUpBookings();
     } catch (error) {
         console.error('❌ Catch-up cron error:', error);
     }
 });
 
-// 3. Weekend pre-warm connection - runs at 6:29:30 AM EDT on weekends
-cron.schedule('30 29 6 * * 0,6', async () => {
+// 3. Launch planning and post-open retries, scheduled from the booking window policy by scheduleLaunchCrons()
+
+// Two minutes before an open time: one launch per weekend, holiday or recurring date opening then.
+// The launch scheduler prepares it and fires the attempts (see launchScheduler.js)
+async function planLaunches(openTime) {
     try {
         if (!weekendAutomation) return;
 
-        const now = weekendAutomation.getCurrentEDT();
-        console.log(`🔥 [${now.toLocaleTimeString()}] Pre-warming for weekend booking...`);
-        await weekendAutomation.preWarmConnection();
+        const settings = await weekendAutomation.getSettings();
+        const rules = await recurringAutomation.getRules(true);
+        const blackouts = await weekendAutomation.getBlackouts();
+
+        for (const targetDate of bookingWindowPolicy.getDatesOpeningToday(openTime)) {
+            const isWeekendDay = settings.is_enabled && !!await weekendAutomation.getBookingReason(settings, targetDate);
+            const rule = rules.find(candidate => recurringAutomation.ruleAppliesTo(candidate, targetDate));
+            if (!isWeekendDay && !rule) continue;
+            if (weekendAutomation.findBlackout(targetDate, blackouts)) continue;
+            if (await weekendAutomation.hasExistingBooking(targetDate)) continue;
+
+            const plan = isWeekendDay
+                ? { partySize: weekendAutomation.getPartySize(settings), roundLength: settings.round_length || 18 }
+                : recurringAutomation.planForRule(rule);
+            const dateKey = weekendAutomation.formatDate(targetDate);
+
+            launchScheduler.schedule({
+                key: `automation:${dateKey}`,
+                label: `${isWeekendDay ? 'Weekend' : rule.name} ${dateKey}`,
+                date: targetDate,
+                opensAt: openingInstant(bookingWindowPolicy.getOpensAt(targetDate)),
+                service: weekendAutomation.bookingService,
+                prepare: async () => {
+                    await weekendAutomation.preWarmConnection();
+                    await weekendAutomation.bookingService.prefetchBookingDialog(targetDate, {
+                        partySize: plan.partySize,
+                        roundLength: plan.roundLength
+                    });
+                },
+                // Weekend automation only acts on Saturdays/Sundays, holidays and fallback days,
+                // recurring rules on their own weekdays
+                book: async () => {
+                    await weekendAutomation.executeRealTimeBooking(targetDate);
+                    await recurringAutomation.executeRealTimeBooking(targetDate);
+                }
+            });
+        }
     } catch (error) {
-        console.error('❌ Pre-warm error:', error);
+        console.error('❌ Launch planning error:', error);
     }
-}, {
-    timezone: "America/New_York"
-});
+}
 
-// 4. Weekend real-time booking - runs at 6:30 AM EDT on weekends
-cron.schedule('0-10 30 6 * * 0,6', async () => {
+// Seconds after an open time to try its dates again, for a launch that was never planned
+// (restart after planning) or whose booking found weekendAutomation's booking lock taken
+const POST_OPEN_RETRY_SECONDS = [15, 30, 60];
+
+// Real-time booking for the dates opening at an open time that no launch has booked yet;
+// dates that came back with no slots are left to the cancellation watcher
+async function retryOpenedDates(openTime) {
     try {
         if (!weekendAutomation) return;
 
-        const now = weekendAutomation.getCurrentEDT();
-        console.log(`🎯 [${now.toLocaleTimeString()}] WEEKEND REAL-TIME BOOKING WINDOW!`);
-        await weekendAutomation.executeRealTimeBooking();
+        for (const targetDate of bookingWindowPolicy.getDatesOpeningToday(openTime)) {
+            if (launchScheduler.isScheduled(`automation:${weekendAutomation.formatDate(targetDate)}`)) continue;
+            if (await weekendAutomation.hasExistingBooking(targetDate)) continue;
+            if (await weekendAutomation.hasFailedAttempt(targetDate)) continue;
+
+            await weekendAutomation.executeRealTimeBooking(targetDate);
+            await recurringAutomation.executeRealTimeBooking(targetDate);
+        }
+    } catch (error) {
+        console.error('❌ Post-open retry error:', error);
+    }
+}
+
+// (Re)create the launch planning and post-open retry crons for each open time in the booking window policy
+function scheduleLaunchCrons() {
+    launchTasks.forEach(task => task.stop());
+    launchTasks = [];
+
+    const options = { timezone: bookingWindowPolicy.timeZone };
+    for (const openTime of bookingWindowPolicy.getOpenTimes()) {
+        launchTasks.push(
+            cron.schedule(bookingWindowPolicy.getCronExpression(openTime, -120), () => planLaunches(openTime), options),
+            ...POST_OPEN_RETRY_SECONDS.map(seconds =>
+                cron.schedule(bookingWindowPolicy.getCronExpression(openTime, seconds), () => retryOpenedDates(openTime), options))
+        );
+    }
+
+    console.log(`⏰ Launches planned for ${bookingWindowPolicy.getOpenTimes().join(', ')} ${bookingWindowPolicy.timeZone}`);
+}
+
+// 4. Cancellation watch - polls full dates on their own cadence (see cancellationWatcher.js)
+cron.schedule('* * * * *', async () => {
+    try {
+        if (!cancellationWatcher) return;
+        if (launchScheduler.hasActiveLaunches()) return;
+        await cancellationWatcher.tick();
     } catch (error) {
-        console.error('❌ Weekend real-time booking error:', error);
+        console.error('❌ Cancellation watch cron error:', error);
     }
-}, {
-    timezone: "America/New_York"
 });
 
 // Catch all handler - serve React app for any route not handled by API
@@ -1214,9 +2716,12 @@ app.listen(PORT, async () => {
 📍 Port: ${PORT}
 🌐 URL: http://localhost:${PORT}
 ⏰ Manual booking checker: Active (every minute)
-⛳ Weekend auto-booking: Active (Sat/Sun at 6:30 AM EDT)
+🪟 Booking window: ${bookingWindowPolicy?.describe() || 'not loaded'}
+⛳ Weekend auto-booking: Active (Sat/Sun and holidays when their window opens)
+🔁 Recurring rules: Active (their weekdays when their window opens)
 🔄 Weekend catch-up: Active (every 30 minutes)
-📊 Max weekend bookings: 4
+👀 Cancellation watch: Active (checked every minute)
+📊 Max weekend bookings: set on the Recurring tab
 📅 Time: ${new Date().toLocaleString()}
 
 Navigate to http://localhost:${PORT} to access the web interface.
@@ -1224,9 +2729,8 @@ Navigate to http://localhost:${PORT} to access the web interface.
 Weekend Auto-Booking Features:
 - Immediate catch-up when enabled (books already-open weekends)
 - Every 30 minutes: Checks for bookable weekends
-- Every Sat/Sun 6:30 AM EDT: Books exactly 7 days ahead
-- Time Range: 7:50 AM - 1:00 PM (no expansion)
-- Maximum: 4 weekends booked at once
+- The moment a weekend date's booking window opens: Books it
+- Time windows, party size, Saturday/Sunday, holidays, fallback and max booked weekends: Recurring tab settings
 
 Debug URLs:
 - View Tee Sheet: http://localhost:${PORT}/api/view/teesheet
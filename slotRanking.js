@@ -0,0 +1,63 @@
+// slotRanking.js - Score and rank tee time slots for a booking
+
+// Points per unit of each factor; a strategy is a preset of these weights
+// spots: per open spot | distance: per minute from preferred_time, before or after it
+// earliness: per minute after the start of the range | tee: bonus for the preferred starting tee
+export const RANKING_STRATEGIES = {
+    // The original 4→3→2→1 cascade: fullest slot, then preferred tee, then earliest
+    most_spots: { spots: 10000, distance: 0, earliness: 1, tee: 1440 },
+    // Nearest to preferred_time, more open spots only breaks ties
+    closest: { spots: 1, distance: 10, earliness: 0, tee: 5 },
+    // First slot in range with room for the party
+    earliest: { spots: 0, distance: 0, earliness: 10, tee: 5 }
+};
+
+export const RANKING_WEIGHT_NAMES = ['spots', 'distance', 'earliness', 'tee'];
+
+export const DEFAULT_RANKING_STRATEGY = 'most_spots';
+
+class SlotRanker {
+    // timeToMinutes converts a tee sheet time ("8:10 AM") to minutes after midnight
+    constructor(timeToMinutes) {
+        this.timeToMinutes = timeToMinutes;
+    }
+
+    // Strategy preset with any per-booking weight overrides applied
+    getWeights(strategy = DEFAULT_RANKING_STRATEGY, overrides = {}) {
+        const preset = RANKING_STRATEGIES[strategy] || RANKING_STRATEGIES[DEFAULT_RANKING_STRATEGY];
+        return { ...preset, ...overrides };
+    }
+
+    scoreSlot(slot, minutes, context, weights) {
+        const distance = Math.abs(minutes - context.targetTimeMin);
+        const earliness = minutes - context.preferredTimeMin;
+        const teeMatch = context.teePreference === 'prefer_first' && slot.tee === '1st TEE';
+
+        return weights.spots * slot.availableSpots
+            - weights.distance * distance
+            - weights.earliness * earliness
+            + (teeMatch ? weights.tee : 0);
+    }
+
+    // In-range slots, best first. Equal scores keep tee sheet order.
+    // targetTimeMin is the booking's preferred_time that distance is measured from; it defaults to
+    // the start of the range, but a later time window can lie on either side of it
+    rank(slots, { preferredTimeMin, maxTimeMin, targetTimeMin = preferredTimeMin, strategy, weights, teePreference = 'either' }) {
+        const activeWeights = this.getWeights(strategy, weights);
+        const context = { preferredTimeMin, targetTimeMin, teePreference };
+
+        const scored = [];
+        for (const slot of slots) {
+            const minutes = this.timeToMinutes(slot.time);
+            if (minutes < preferredTimeMin || minutes > maxTimeMin) continue;
+
+            scored.push({ slot, score: this.scoreSlot(slot, minutes, context, activeWeights) });
+        }
+
+        return scored
+            .sort((a, b) => b.score - a.score)
+            .map(({ slot }) => slot);
+    }
+}
+
+export default SlotRanker;
@@ -1,7 +1,17 @@
 // src/App.jsx - Complete Updated File with Weekend Auto-Booking and Auto-Refresh
-import React, { useState, useEffect } from 'react';
-import { Calendar, Clock, Settings, CheckCircle, XCircle, AlertCircle, RefreshCw, Trash2, Play, Zap, LogOut } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Calendar, Clock, Settings, CheckCircle, XCircle, AlertCircle, RefreshCw, Trash2, Play, Zap, LogOut, Users, List, Eye } from 'lucide-react';
 import Login from './components/Login';
+import Guests from './components/Guests';
+import Reservations from './components/Reservations';
+import TimeWindows from './components/TimeWindows';
+import RecurringRules from './components/RecurringRules';
+import BlackoutDates from './components/BlackoutDates';
+import Holidays from './components/Holidays';
+import OpeningCountdown from './components/OpeningCountdown';
+
+// Used until the club's own transport options have been loaded
+const DEFAULT_TRANSPORT_OPTIONS = ['Riding with Caddie', 'Riding without Caddie'];
 
 const App = () => {
     // Authentication state
@@ -14,7 +24,30 @@ const App = () => {
     const [newBooking, setNewBooking] = useState({
         date: '',
         preferredTime: '07:54',
-        maxTime: '14:30'
+        maxTime: '14:30',
+        extraWindows: [],
+        partySize: 4,
+        roundLength: 18,
+        teePreference: 'either',
+        rankingStrategy: 'most_spots',
+        rankingWeights: {},
+        memberTransport: '',
+        guestIds: [],
+        guestTransports: {},
+        comments: '',
+        notes: '',
+        keepImproving: false
+    });
+    const [guests, setGuests] = useState([]);
+    const [blackoutVersion, setBlackoutVersion] = useState(0);
+    const [transportOptions, setTransportOptions] = useState(DEFAULT_TRANSPORT_OPTIONS);
+    const [watchSettings, setWatchSettings] = useState({ interval_minutes: 10, fast_interval_minutes: 2, cutoff_hours: 12 });
+    const [bookingWindow, setBookingWindow] = useState({
+        leadDays: 7,
+        openTime: '06:30:00',
+        timeZone: 'America/New_York',
+        dayOverrides: {},
+        description: '7 days ahead at 6:30 AM America/New_York'
     });
     const [logs, setLogs] = useState({});
     const [loading, setLoading] = useState(false);
@@ -24,6 +57,8 @@ const App = () => {
 
     // Weekend auto-booking states
     const [weekendSettings, setWeekendSettings] = useState({ is_enabled: false });
+    const [weekendWindows, setWeekendWindows] = useState([]);
+    const [sundayWindows, setSundayWindows] = useState(null); // null = same as Saturday
     const [upcomingWeekends, setUpcomingWeekends] = useState([]);
     const [weekendHistory, setWeekendHistory] = useState([]);
 
@@ -47,6 +82,10 @@ const App = () => {
         stopAutoRefresh();
     };
 
+    // Latest handleLogout, so authenticatedFetch can stay the same function across renders
+    const logoutRef = useRef(handleLogout);
+    logoutRef.current = handleLogout;
+
     const verifyAuth = async () => {
         console.log('Verifying auth...');
         const token = localStorage.getItem('golf_auth_token');
@@ -85,10 +124,11 @@ const App = () => {
     };
 
     // Helper function to make authenticated API calls
-    const authenticatedFetch = async (url, options = {}) => {
+    // Stable across renders - the tab components list it as an effect dependency
+    const authenticatedFetch = useCallback(async (url, options = {}) => {
         const token = localStorage.getItem('golf_auth_token');
         if (!token) {
-            handleLogout();
+            logoutRef.current();
             return;
         }
 
@@ -101,12 +141,12 @@ const App = () => {
         const response = await fetch(url, { ...options, headers });
         
         if (response.status === 401) {
-            handleLogout();
+            logoutRef.current();
             return;
         }
         
         return response;
-    };
+    }, []);
 
     useEffect(() => {
         verifyAuth();
@@ -116,6 +156,10 @@ const App = () => {
         if (user) {
             fetchBookings();
             fetchSettings();
+            fetchGuests();
+            fetchTransportOptions();
+            fetchWatchSettings();
+            fetchBookingWindow();
             fetchWeekendSettings().then(() => {
                 // Start auto-refresh if weekend booking is enabled
                 if (weekendSettings.is_enabled) {
@@ -145,12 +189,125 @@ const App = () => {
         }
     };
 
+    const fetchGuests = async () => {
+        try {
+            const response = await authenticatedFetch(`${API_URL}/guests`);
+            if (!response) return;
+            const data = await response.json();
+            setGuests(data);
+        } catch (error) {
+            console.error('Error fetching guests:', error);
+        }
+    };
+
+    const fetchWatchSettings = async () => {
+        try {
+            const response = await authenticatedFetch(`${API_URL}/watch-settings`);
+            if (!response) return;
+            const data = await response.json();
+            if (!data.error) setWatchSettings(data);
+        } catch (error) {
+            console.error('Error fetching watch settings:', error);
+        }
+    };
+
+    const saveWatchSettings = async () => {
+        try {
+            const response = await authenticatedFetch(`${API_URL}/watch-settings`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    intervalMinutes: watchSettings.interval_minutes,
+                    fastIntervalMinutes: watchSettings.fast_interval_minutes,
+                    cutoffHours: watchSettings.cutoff_hours
+                })
+            });
+            const data = await response.json();
+            setMessage(data.success ? `✅ ${data.message}` : `❌ ${data.error || 'Could not save watch settings'}`);
+        } catch (error) {
+            setMessage('❌ Error saving watch settings: ' + error.message);
+        }
+    };
+
+    const fetchBookingWindow = async () => {
+        try {
+            const response = await authenticatedFetch(`${API_URL}/booking-window`);
+            if (!response) return;
+            const data = await response.json();
+            if (!data.error) setBookingWindow(data);
+        } catch (error) {
+            console.error('Error fetching booking window:', error);
+        }
+    };
+
+    const saveBookingWindow = async () => {
+        try {
+            const response = await authenticatedFetch(`${API_URL}/booking-window`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    leadDays: bookingWindow.leadDays,
+                    openTime: bookingWindow.openTime,
+                    timeZone: bookingWindow.timeZone,
+                    dayOverrides: bookingWindow.dayOverrides
+                })
+            });
+            const data = await response.json();
+            setMessage(data.success ? `✅ ${data.message}` : `❌ ${data.error || 'Could not save booking window'}`);
+            if (data.success) {
+                fetchBookingWindow();
+                fetchBookings();
+                fetchUpcomingWeekends();
+            }
+        } catch (error) {
+            setMessage('❌ Error saving booking window: ' + error.message);
+        }
+    };
+
+    const updateDayOverride = (day, field, value) => {
+        const override = { ...(bookingWindow.dayOverrides[day] || {}), [field]: value };
+        if (override[field] === '') delete override[field];
+
+        const dayOverrides = { ...bookingWindow.dayOverrides, [day]: override };
+        if (Object.keys(override).length === 0) delete dayOverrides[day];
+
+        setBookingWindow({ ...bookingWindow, dayOverrides });
+    };
+
+    // Transport options offered by the club's booking dialog; keep the defaults if unavailable
+    const fetchTransportOptions = async () => {
+        try {
+            const response = await authenticatedFetch(`${API_URL}/transport-options`);
+            if (!response) return;
+            const data = await response.json();
+            if (data.success && data.options.length > 0) {
+                setTransportOptions(data.options.map(option => option.text));
+            }
+        } catch (error) {
+            console.error('Error fetching transport options:', error);
+        }
+    };
+
+    const toggleBookingGuest = (guestId) => {
+        const selected = newBooking.guestIds;
+        if (selected.includes(guestId)) {
+            const guestTransports = Object.fromEntries(
+                Object.entries(newBooking.guestTransports).filter(([id]) => Number(id) !== guestId)
+            );
+            setNewBooking({ ...newBooking, guestIds: selected.filter(id => id !== guestId), guestTransports });
+        } else if (selected.length < newBooking.partySize - 1) {
+            setNewBooking({ ...newBooking, guestIds: [...selected, guestId] });
+        }
+    };
+
     const fetchWeekendSettings = async () => {
         try {
             const response = await authenticatedFetch(`${API_URL}/weekend-settings`);
             if (!response) return;
             const data = await response.json();
             setWeekendSettings(data);
+            setWeekendWindows((data.time_windows || []).map(w => ({ start: w.start.slice(0, 5), end: w.end.slice(0, 5) })));
+            setSundayWindows(data.sunday_time_windows
+                ? data.sunday_time_windows.map(w => ({ start: w.start.slice(0, 5), end: w.end.slice(0, 5) }))
+                : null);
         } catch (error) {
             console.error('Error fetching weekend settings:', error);
         }
@@ -254,6 +411,25 @@ const App = () => {
         setLoading(false);
     };
 
+    const updateWeekendSetting = async (changes) => {
+        try {
+            const response = await authenticatedFetch(`${API_URL}/weekend-settings`, {
+                method: 'POST',
+                body: JSON.stringify(changes)
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                fetchWeekendSettings();
+            } else {
+                setMessage(`❌ ${data.error || 'Could not save weekend settings'}`);
+            }
+        } catch (error) {
+            console.error('Error updating weekend settings:', error);
+            setMessage('❌ Error updating weekend settings');
+        }
+    };
+
     const fetchBookings = async () => {
         try {
             const response = await authenticatedFetch(`${API_URL}/bookings`);
@@ -309,18 +485,32 @@ const App = () => {
             return;
         }
 
+        const guestsNeeded = newBooking.partySize - 1;
+        if (newBooking.guestIds.length !== 0 && newBooking.guestIds.length !== guestsNeeded) {
+            setMessage(`❌ Please choose ${guestsNeeded} guests, or none to use the guest list order`);
+            return;
+        }
+
+        // Extra windows are tried in order after the preferred-latest range
+        const { extraWindows, ...bookingFields } = newBooking;
+        if (extraWindows.length > 0) {
+            bookingFields.timeWindows = [{ start: newBooking.preferredTime, end: newBooking.maxTime }, ...extraWindows];
+        }
+
         setLoading(true);
         try {
             const response = await authenticatedFetch(`${API_URL}/bookings`, {
                 method: 'POST',
-                body: JSON.stringify(newBooking)
+                body: JSON.stringify(bookingFields)
             });
             const data = await response.json();
 
             if (data.success) {
                 setMessage(`✅ Booking scheduled! Opens at: ${formatDateTime(data.opensAt)}`);
-                setNewBooking({ date: '', preferredTime: '07:54', maxTime: '14:30' });
+                setNewBooking({ date: '', preferredTime: '07:54', maxTime: '14:30', extraWindows: [], partySize: 4, roundLength: 18, teePreference: 'either', rankingStrategy: 'most_spots', rankingWeights: {}, memberTransport: '', guestIds: [], guestTransports: {}, comments: '', notes: '', keepImproving: false });
                 fetchBookings();
+            } else {
+                setMessage(`❌ ${data.error || 'Could not add booking'}`);
             }
         } catch (error) {
             setMessage('❌ Error adding booking: ' + error.message);
@@ -328,6 +518,24 @@ const App = () => {
         setLoading(false);
     };
 
+    const toggleKeepImproving = async (booking) => {
+        try {
+            const response = await authenticatedFetch(`${API_URL}/bookings/${booking.id}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ keepImproving: !booking.keep_improving })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                fetchBookings();
+            } else {
+                setMessage(`❌ ${data.error || 'Could not update booking'}`);
+            }
+        } catch (error) {
+            setMessage('❌ Error updating booking: ' + error.message);
+        }
+    };
+
     const deleteBooking = async (id) => {
         if (!confirm('Are you sure you want to delete this booking?')) return;
 
@@ -398,6 +606,8 @@ const App = () => {
             case 'no_slots': return <AlertCircle className="text-orange-500" size={20} />;
             case 'already_booked': return <CheckCircle className="text-blue-500" size={20} />;
             case 'scheduled': return <Clock className="text-blue-500" size={20} />;
+            case 'watching': return <Eye className="text-blue-500" size={20} />;
+            case 'cancelled': return <XCircle className="text-gray-400" size={20} />;
             default: return <AlertCircle className="text-yellow-500" size={20} />;
         }
     };
@@ -531,11 +741,25 @@ const App = () => {
                             Manual Bookings
                         </button>
                         <button
-                            onClick={() => setActiveTab('weekend')}
-                            className={`px-6 py-3 font-semibold ${activeTab === 'weekend' ? 'border-b-2 border-blue-500 text-blue-600' : 'text-gray-600'}`}
+                            onClick={() => setActiveTab('recurring')}
+                            className={`px-6 py-3 font-semibold ${activeTab === 'recurring' ? 'border-b-2 border-blue-500 text-blue-600' : 'text-gray-600'}`}
                         >
                             <Zap className="inline mr-2" size={20} />
-                            Weekend Auto-Booking
+                            Recurring
+                        </button>
+                        <button
+                            onClick={() => setActiveTab('guests')}
+                            className={`px-6 py-3 font-semibold ${activeTab === 'guests' ? 'border-b-2 border-blue-500 text-blue-600' : 'text-gray-600'}`}
+                        >
+                            <Users className="inline mr-2" size={20} />
+                            Guests
+                        </button>
+                        <button
+                            onClick={() => setActiveTab('reservations')}
+                            className={`px-6 py-3 font-semibold ${activeTab === 'reservations' ? 'border-b-2 border-blue-500 text-blue-600' : 'text-gray-600'}`}
+                        >
+                            <List className="inline mr-2" size={20} />
+                            Club Reservations
                         </button>
                         <button
                             onClick={() => setActiveTab('settings')}
@@ -564,7 +788,7 @@ const App = () => {
                                         </label>
                                     </div>
 
-                                    <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+                                    <div className="grid grid-cols-1 md:grid-cols-8 gap-3">
                                         <select
                                             value={newBooking.date}
                                             onChange={(e) => setNewBooking({ ...newBooking, date: e.target.value })}
@@ -600,6 +824,63 @@ const App = () => {
                                             <span className="text-xs text-gray-500">Latest time</span>
                                         </div>
 
+                                        <div>
+                                            <select
+                                                value={newBooking.partySize}
+                                                onChange={(e) => setNewBooking({ ...newBooking, partySize: parseInt(e.target.value), guestIds: [], guestTransports: {} })}
+                                                className="w-full p-2 border rounded-md"
+                                                title="Party Size"
+                                            >
+                                                <option value={4}>Foursome</option>
+                                                <option value={3}>Threesome</option>
+                                                <option value={2}>Twosome</option>
+                                                <option value={1}>Single</option>
+                                            </select>
+                                            <span className="text-xs text-gray-500">Party size</span>
+                                        </div>
+
+                                        <div>
+                                            <select
+                                                value={newBooking.roundLength}
+                                                onChange={(e) => setNewBooking({ ...newBooking, roundLength: parseInt(e.target.value) })}
+                                                className="w-full p-2 border rounded-md"
+                                                title="Round Length"
+                                            >
+                                                <option value={18}>18 holes</option>
+                                                <option value={9}>9 holes</option>
+                                            </select>
+                                            <span className="text-xs text-gray-500">Round length</span>
+                                        </div>
+
+                                        <div>
+                                            <select
+                                                value={newBooking.teePreference}
+                                                onChange={(e) => setNewBooking({ ...newBooking, teePreference: e.target.value })}
+                                                className="w-full p-2 border rounded-md"
+                                                title="Starting Tee"
+                                            >
+                                                <option value="either">Either tee</option>
+                                                <option value="prefer_first">Prefer 1st tee</option>
+                                                <option value="first_only">1st tee only</option>
+                                                <option value="tenth_only">10th tee only</option>
+                                            </select>
+                                            <span className="text-xs text-gray-500">Starting tee</span>
+                                        </div>
+
+                                        <div>
+                                            <select
+                                                value={newBooking.rankingStrategy}
+                                                onChange={(e) => setNewBooking({ ...newBooking, rankingStrategy: e.target.value })}
+                                                className="w-full p-2 border rounded-md"
+                                                title="Slot Choice"
+                                            >
+                                                <option value="most_spots">Most open spots</option>
+                                                <option value="closest">Closest to preferred</option>
+                                                <option value="earliest">Earliest</option>
+                                            </select>
+                                            <span className="text-xs text-gray-500">Slot choice</span>
+                                        </div>
+
                                         <button
                                             onClick={addBooking}
                                             disabled={loading}
@@ -609,8 +890,134 @@ const App = () => {
                                         </button>
                                     </div>
 
+                                    <div className="mt-3">
+                                        <p className="text-sm font-medium mb-2">
+                                            Players: You + {newBooking.guestIds.length}/{newBooking.partySize - 1} guests
+                                            <span className="text-xs text-gray-500 ml-2">(none selected = first {newBooking.partySize - 1} active guests)</span>
+                                        </p>
+                                        <div className="flex flex-wrap gap-2">
+                                            {guests.filter(g => g.is_active || newBooking.guestIds.includes(g.id)).map(guest => {
+                                                const position = newBooking.guestIds.indexOf(guest.id);
+                                                return (
+                                                    <button
+                                                        key={guest.id}
+                                                        onClick={() => toggleBookingGuest(guest.id)}
+                                                        className={`px-3 py-1 rounded-full text-sm border ${
+                                                            position >= 0
+                                                                ? 'bg-blue-500 text-white border-blue-500'
+                                                                : 'bg-white text-gray-700 hover:bg-gray-50'
+                                                        }`}
+                                                    >
+                                                        {position >= 0 && `P${position + 2}: `}{guest.name}
+                                                    </button>
+                                                );
+                                            })}
+                                        </div>
+                                    </div>
+
+                                    <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-2 text-sm">
+                                        <label className="flex items-center gap-2">
+                                            <span className="w-32 truncate">P1: You</span>
+                                            <select
+                                                value={newBooking.memberTransport}
+                                                onChange={(e) => setNewBooking({ ...newBooking, memberTransport: e.target.value })}
+                                                className="flex-1 p-1 border rounded-md"
+                                            >
+                                                <option value="">Default (Riding without Caddie)</option>
+                                                {transportOptions.map(option => (
+                                                    <option key={option} value={option}>{option}</option>
+                                                ))}
+                                            </select>
+                                        </label>
+                                        {newBooking.guestIds.map((guestId, index) => {
+                                            const guest = guests.find(g => g.id === guestId);
+                                            if (!guest) return null;
+                                            return (
+                                                <label key={guestId} className="flex items-center gap-2">
+                                                    <span className="w-32 truncate">P{index + 2}: {guest.name}</span>
+                                                    <select
+                                                        value={newBooking.guestTransports[guestId] || ''}
+                                                        onChange={(e) => setNewBooking({
+                                                            ...newBooking,
+                                                            guestTransports: { ...newBooking.guestTransports, [guestId]: e.target.value }
+                                                        })}
+                                                        className="flex-1 p-1 border rounded-md"
+                                                    >
+                                                        <option value="">Default ({guest.transport})</option>
+                                                        {transportOptions.map(option => (
+                                                            <option key={option} value={option}>{option}</option>
+                                                        ))}
+                                                    </select>
+                                                </label>
+                                            );
+                                        })}
+                                    </div>
+
+                                    <div className="mt-3">
+                                        <p className="text-sm font-medium mb-2">
+                                            Other time windows
+                                            <span className="text-xs text-gray-500 ml-2">(tried in order if nothing is open between the preferred and latest time)</span>
+                                        </p>
+                                        <TimeWindows
+                                            windows={newBooking.extraWindows}
+                                            onChange={(extraWindows) => setNewBooking({ ...newBooking, extraWindows })}
+                                            firstNumber={2}
+                                            maxWindows={4}
+                                        />
+                                    </div>
+
+                                    <div className="mt-3">
+                                        <p className="text-sm font-medium mb-2">
+                                            Slot choice weights
+                                            <span className="text-xs text-gray-500 ml-2">(blank = the strategy's own; points per open spot, per minute from the preferred time, per minute after the range start, for the preferred tee)</span>
+                                        </p>
+                                        <div className="flex flex-wrap gap-2">
+                                            {['spots', 'distance', 'earliness', 'tee'].map(name => (
+                                                <input
+                                                    key={name}
+                                                    type="number"
+                                                    min="0"
+                                                    value={newBooking.rankingWeights[name] ?? ''}
+                                                    onChange={(e) => setNewBooking({ ...newBooking, rankingWeights: { ...newBooking.rankingWeights, [name]: e.target.value } })}
+                                                    className="p-2 border rounded-md w-32"
+                                                    placeholder={name}
+                                                    title={`Weight: ${name}`}
+                                                />
+                                            ))}
+                                        </div>
+                                    </div>
+
+                                    <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-3">
+                                        <input
+                                            type="text"
+                                            value={newBooking.comments}
+                                            onChange={(e) => setNewBooking({ ...newBooking, comments: e.target.value })}
+                                            className="p-2 border rounded-md"
+                                            placeholder="Comment for the pro shop (e.g. need 2 carts)"
+                                            maxLength={255}
+                                        />
+                                        <input
+                                            type="text"
+                                            value={newBooking.notes}
+                                            onChange={(e) => setNewBooking({ ...newBooking, notes: e.target.value })}
+                                            className="p-2 border rounded-md"
+                                            placeholder="Note (e.g. guest is a junior)"
+                                            maxLength={255}
+                                        />
+                                    </div>
+
+                                    <label className="mt-3 flex items-center gap-2 text-sm">
+                                        <input
+                                            type="checkbox"
+                                            checked={newBooking.keepImproving}
+                                            onChange={(e) => setNewBooking({ ...newBooking, keepImproving: e.target.checked })}
+                                            className="rounded"
+                                        />
+                                        <span>Keep improving: after booking, move to a slot closer to the preferred time or with more open spots</span>
+                                    </label>
+
                                     <div className="mt-2 text-xs text-gray-600">
-                                        💡 Tip: Bookings open 1 week in advance at 6:30 AM Eastern. Weekend dates are marked with ⛳
+                                        💡 Tip: Bookings open {bookingWindow.description}. Weekend dates are marked with ⛳
                                     </div>
                                 </div>
 
@@ -641,11 +1048,52 @@ const App = () => {
                                                                         new Date(booking.date).getDay() === 6) && ' ⛳'}
                                                             </h4>
                                                             <p className="text-sm text-gray-600">
-                                                                Preferred: {booking.preferred_time} | Max: {booking.max_time}
+                                                                {booking.time_windows?.length > 1
+                                                                    ? `Windows: ${booking.time_windows.map(w => `${w.start.slice(0, 5)}-${w.end.slice(0, 5)}`).join(', ')}`
+                                                                    : `Preferred: ${booking.preferred_time} | Max: ${booking.max_time}`}
+                                                                {' '}| {booking.round_length || 18} holes
+                                                                {booking.tee_preference && booking.tee_preference !== 'either' && ` | Tee: ${{
+                                                                    prefer_first: 'prefer 1st',
+                                                                    first_only: '1st only',
+                                                                    tenth_only: '10th only'
+                                                                }[booking.tee_preference]}`}
+                                                                {booking.ranking_strategy && booking.ranking_strategy !== 'most_spots' && ` | ${{
+                                                                    closest: 'Closest to preferred',
+                                                                    earliest: 'Earliest'
+                                                                }[booking.ranking_strategy]}`}
+                                                                {booking.ranking_weights && ` | Weights: ${Object.entries(booking.ranking_weights).map(([name, value]) => `${name} ${value}`).join(', ')}`}
                                                             </p>
                                                             <p className="text-xs text-gray-500">
-                                                                Opens: {new Date(booking.booking_opens_at).toLocaleString()}
+                                                                Players: {booking.players?.length > 0
+                                                                    ? [booking.member_transport ? `You (${booking.member_transport})` : 'You', ...booking.players.map(p => `${p.name} (${p.transport})`)].join(', ')
+                                                                    : `You + first ${(booking.party_size || 4) - 1} active guests`}
+                                                                {' '}({booking.party_size || 4} players)
                                                             </p>
+                                                            {(booking.comments || booking.notes) && (
+                                                                <p className="text-xs text-gray-500">
+                                                                    {booking.comments && `Comment: ${booking.comments}`}
+                                                                    {booking.comments && booking.notes && ' | '}
+                                                                    {booking.notes && `Note: ${booking.notes}`}
+                                                                </p>
+                                                            )}
+                                                            {booking.booked_time && (
+                                                                <p className="text-xs text-green-700">
+                                                                    Holding: {booking.booked_time}{booking.booked_tee && ` (${booking.booked_tee})`}
+                                                                </p>
+                                                            )}
+                                                            <OpeningCountdown
+                                                                opensAt={booking.booking_opens_at_ms}
+                                                                confirmed={booking.opens_at_confirmed}
+                                                            />
+                                                            <label className="flex items-center gap-1 text-xs text-gray-600">
+                                                                <input
+                                                                    type="checkbox"
+                                                                    checked={!!booking.keep_improving}
+                                                                    onChange={() => toggleKeepImproving(booking)}
+                                                                    className="rounded"
+                                                                />
+                                                                Keep improving
+                                                            </label>
                                                             {booking.attempts > 0 && (
                                                                 <p className="text-xs text-gray-500">
                                                                     Attempts: {booking.attempts} | Last: {booking.last_attempt ? (() => {
@@ -728,7 +1176,7 @@ const App = () => {
                             </div>
                         )}
 
-                        {activeTab === 'weekend' && (
+                        {activeTab === 'recurring' && (
                             <div>
                                 {/* Weekend Auto-Booking Control */}
                                 <div className="mb-6 p-4 bg-green-50 rounded-lg">
@@ -755,14 +1203,143 @@ const App = () => {
                                         <ul className="text-sm space-y-1">
                                             <li>📅 Books all available Saturday & Sunday slots</li>
                                             <li>🔄 Catch-up mode: Checks every 30 minutes for bookable weekends</li>
-                                            <li>⏰ Real-time mode: Books at 6:30 AM EDT when slots open</li>
-                                            <li>🕐 Time range: 7:50 AM - 1:00 PM (no expansion if full)</li>
-                                            <li>📊 Maximum: 4 weekends booked at once</li>
+                                            <li>⏰ Real-time mode: Books the moment slots open ({bookingWindow.description})</li>
+                                            <li>🕐 Time windows: {(weekendSettings.time_windows || []).map(w => `${w.start.slice(0, 5)}-${w.end.slice(0, 5)}`).join(', then ')}
+                                                {weekendSettings.sunday_time_windows && ` (Sundays: ${weekendSettings.sunday_time_windows.map(w => `${w.start.slice(0, 5)}-${w.end.slice(0, 5)}`).join(', then ')})`}</li>
+                                            <li>👥 Party: You + {(weekendSettings.party_size || 4) - 1} guests from the top of the guest list</li>
+                                            <li>📊 Maximum: {weekendSettings.max_booked_weekends || 4} weekends booked at once</li>
+                                            {weekendSettings.holidays_enabled && <li>🎉 Holidays: Booked like weekend days (not counted in the maximum)</li>}
+                                            {weekendSettings.fallback_enabled && <li>↪️ Fallback: No slots on one day books another day of the same long weekend</li>}
                                             <li>🚀 Immediate booking attempt when enabled</li>
                                             <li>🔄 Auto-refresh: Updates status automatically</li>
                                         </ul>
                                     </div>
 
+                                    <div className="mt-3 flex flex-wrap items-center gap-4 text-sm">
+                                        <label className="flex items-center gap-2">
+                                            <input
+                                                type="checkbox"
+                                                checked={weekendSettings.saturday_enabled !== false}
+                                                onChange={(e) => updateWeekendSetting({ saturdayEnabled: e.target.checked })}
+                                            />
+                                            Saturdays
+                                        </label>
+                                        <label className="flex items-center gap-2">
+                                            <input
+                                                type="checkbox"
+                                                checked={weekendSettings.sunday_enabled !== false}
+                                                onChange={(e) => updateWeekendSetting({ sundayEnabled: e.target.checked })}
+                                            />
+                                            Sundays
+                                        </label>
+                                        <label className="flex items-center gap-2">
+                                            <input
+                                                type="checkbox"
+                                                checked={!!weekendSettings.holidays_enabled}
+                                                onChange={(e) => updateWeekendSetting({ holidaysEnabled: e.target.checked })}
+                                            />
+                                            Holidays
+                                        </label>
+                                        <label className="flex items-center gap-2" title="When a booked-for day has no slots, try the other weekend day or a holiday of the same long weekend">
+                                            <input
+                                                type="checkbox"
+                                                checked={!!weekendSettings.fallback_enabled}
+                                                onChange={(e) => updateWeekendSetting({ fallbackEnabled: e.target.checked })}
+                                            />
+                                            Fall back to the other day
+                                        </label>
+                                        <label className="flex items-center gap-2">
+                                            Party size:
+                                            <select
+                                                value={weekendSettings.party_size || 4}
+                                                onChange={(e) => updateWeekendSetting({ partySize: parseInt(e.target.value) })}
+                                                className="p-1 border rounded-md"
+                                            >
+                                                <option value={4}>Foursome</option>
+                                                <option value={3}>Threesome</option>
+                                                <option value={2}>Twosome</option>
+                                                <option value={1}>Single</option>
+                                            </select>
+                                        </label>
+                                        <label className="flex items-center gap-2">
+                                            Max booked weekends:
+                                            <input
+                                                key={`max-${weekendSettings.max_booked_weekends || 4}`}
+                                                type="number"
+                                                min={1}
+                                                max={12}
+                                                defaultValue={weekendSettings.max_booked_weekends || 4}
+                                                onBlur={(e) => parseInt(e.target.value) !== (weekendSettings.max_booked_weekends || 4) && updateWeekendSetting({ maxBookedWeekends: parseInt(e.target.value) })}
+                                                className="p-1 border rounded-md w-16"
+                                            />
+                                        </label>
+                                        <label className="flex items-center gap-2">
+                                            Round length:
+                                            <select
+                                                value={weekendSettings.round_length || 18}
+                                                onChange={(e) => updateWeekendSetting({ roundLength: parseInt(e.target.value) })}
+                                                className="p-1 border rounded-md"
+                                            >
+                                                <option value={18}>18 holes</option>
+                                                <option value={9}>9 holes</option>
+                                            </select>
+                                        </label>
+                                        <input
+                                            key={`comments-${weekendSettings.comments || ''}`}
+                                            type="text"
+                                            defaultValue={weekendSettings.comments || ''}
+                                            onBlur={(e) => e.target.value !== (weekendSettings.comments || '') && updateWeekendSetting({ comments: e.target.value })}
+                                            className="p-1 border rounded-md flex-1 min-w-48"
+                                            placeholder="Comment for the pro shop"
+                                            maxLength={255}
+                                        />
+                                        <input
+                                            key={`notes-${weekendSettings.notes || ''}`}
+                                            type="text"
+                                            defaultValue={weekendSettings.notes || ''}
+                                            onBlur={(e) => e.target.value !== (weekendSettings.notes || '') && updateWeekendSetting({ notes: e.target.value })}
+                                            className="p-1 border rounded-md flex-1 min-w-48"
+                                            placeholder="Note"
+                                            maxLength={255}
+                                        />
+                                    </div>
+
+                                    <div className="mt-3 grid md:grid-cols-2 gap-4">
+                                        <div>
+                                            <p className="text-sm font-medium mb-2">Saturday time windows (tried in order)</p>
+                                            <TimeWindows
+                                                windows={weekendWindows}
+                                                onChange={setWeekendWindows}
+                                            />
+                                        </div>
+                                        <div>
+                                            <p className="text-sm font-medium mb-2">Sunday time windows</p>
+                                            <label className="flex items-center gap-2 text-sm mb-2">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={sundayWindows === null}
+                                                    onChange={(e) => setSundayWindows(e.target.checked ? null : weekendWindows)}
+                                                />
+                                                Same as Saturday
+                                            </label>
+                                            {sundayWindows !== null && (
+                                                <TimeWindows
+                                                    windows={sundayWindows}
+                                                    onChange={setSundayWindows}
+                                                />
+                                            )}
+                                        </div>
+                                    </div>
+                                    <div>
+                                        <button
+                                            onClick={() => updateWeekendSetting({ timeWindows: weekendWindows, sundayTimeWindows: sundayWindows })}
+                                            disabled={weekendWindows.length === 0 || sundayWindows?.length === 0}
+                                            className="mt-2 bg-blue-500 text-white px-3 py-1 text-sm rounded-md hover:bg-blue-600 disabled:opacity-50"
+                                        >
+                                            Save Time Windows
+                                        </button>
+                                    </div>
+
                                     {weekendSettings.is_enabled && (
                                         <div className="mt-3 p-2 bg-blue-50 rounded text-sm">
                                             <p className="text-blue-800">
@@ -789,9 +1366,9 @@ const App = () => {
                                     <div className="grid gap-4">
                                         {upcomingWeekends.map((weekend, idx) => {
                                             // Helper function to get status display
-                                            const getStatusDisplay = (day) => {
+                                            const getStatusDisplay = (day, dayEnabled) => {
                                                 const status = day.actualStatus;
-                                                const isEnabled = weekendSettings.is_enabled;
+                                                const isEnabled = weekendSettings.is_enabled && dayEnabled;
 
                                                 switch(status) {
                                                     case 'booked':
@@ -815,6 +1392,20 @@ const App = () => {
                                                             text: 'Failed - Retrying',
                                                             bgColor: 'bg-orange-50'
                                                         };
+                                                    case 'cancelled':
+                                                        return {
+                                                            color: 'bg-gray-200 text-gray-700',
+                                                            icon: '🚫',
+                                                            text: 'Cancelled - Not Rebooked',
+                                                            bgColor: 'bg-gray-50'
+                                                        };
+                                                    case 'blackout':
+                                                        return {
+                                                            color: 'bg-purple-100 text-purple-800',
+                                                            icon: '🏖️',
+                                                            text: 'Skipped – Blackout',
+                                                            bgColor: 'bg-purple-50'
+                                                        };
                                                     case 'open':
                                                         return {
                                                             color: isEnabled ? 'bg-yellow-100 text-yellow-800' : 'bg-gray-100 text-gray-800',
@@ -839,8 +1430,8 @@ const App = () => {
                                                 }
                                             };
 
-                                            const satStatus = getStatusDisplay(weekend.saturday);
-                                            const sunStatus = getStatusDisplay(weekend.sunday);
+                                            const satStatus = getStatusDisplay(weekend.saturday, weekendSettings.saturday_enabled !== false);
+                                            const sunStatus = getStatusDisplay(weekend.sunday, weekendSettings.sunday_enabled !== false);
 
                                             return (
                                                 <div key={idx} className="border rounded-lg p-4">
@@ -860,6 +1451,11 @@ const App = () => {
                                                                             '🟢 Booking window OPEN' :
                                                                             `Opens: ${formatDateTime(weekend.saturday.opensAt)}`}
                                                                     </p>
+                                                                    {weekend.saturday.actualStatus === 'blackout' && (
+                                                                        <p className="text-xs text-purple-700 mt-1">
+                                                                            {weekend.saturday.statusMessage}
+                                                                        </p>
+                                                                    )}
                                                                     {weekend.saturday.bookedTime && (
                                                                         <p className="text-xs text-green-600 mt-1">
                                                                             Tee time: {weekend.saturday.bookedTime}
@@ -889,6 +1485,11 @@ const App = () => {
                                                                             '🟢 Booking window OPEN' :
                                                                             `Opens: ${formatDateTime(weekend.sunday.opensAt)}`}
                                                                     </p>
+                                                                    {weekend.sunday.actualStatus === 'blackout' && (
+                                                                        <p className="text-xs text-purple-700 mt-1">
+                                                                            {weekend.sunday.statusMessage}
+                                                                        </p>
+                                                                    )}
                                                                     {weekend.sunday.bookedTime && (
                                                                         <p className="text-xs text-green-600 mt-1">
                                                                             Tee time: {weekend.sunday.bookedTime}
@@ -913,9 +1514,10 @@ const App = () => {
                                             <strong>Status Guide:</strong><br/>
                                             🟢 <strong>Booking window OPEN</strong> - Can be booked now<br/>
                                             🔄 <strong>Checking for Slots</strong> - System is searching for available times<br/>
-                                            ❌ <strong>No Slots Available</strong> - No times in 7:50 AM - 1:00 PM range<br/>
+                                            ❌ <strong>No Slots Available</strong> - No times in the weekend time windows<br/>
                                             ⏳ <strong>Scheduled</strong> - Will book when window opens<br/>
                                             ✅ <strong>Booked</strong> - Successfully reserved<br/>
+                                            🏖️ <strong>Skipped – Blackout</strong> - On the blackout list, automation leaves it alone<br/>
                                             ⏸️ <strong>Manual Only</strong> - Auto-booking disabled, book manually
                                         </p>
                                     </div>
@@ -1023,9 +1625,57 @@ const App = () => {
                                         </div>
                                     )}
                                 </div>
+
+                                <div className="mt-6 p-4 border rounded-lg">
+                                    <RecurringRules
+                                        apiUrl={API_URL}
+                                        authenticatedFetch={authenticatedFetch}
+                                        setMessage={setMessage}
+                                        guests={guests}
+                                        refreshKey={blackoutVersion}
+                                    />
+                                </div>
+
+                                <div className="mt-6 p-4 border rounded-lg">
+                                    <Holidays
+                                        apiUrl={API_URL}
+                                        authenticatedFetch={authenticatedFetch}
+                                        setMessage={setMessage}
+                                        holidaysEnabled={!!weekendSettings.holidays_enabled}
+                                    />
+                                </div>
+
+                                <div className="mt-6 p-4 border rounded-lg">
+                                    <BlackoutDates
+                                        apiUrl={API_URL}
+                                        authenticatedFetch={authenticatedFetch}
+                                        setMessage={setMessage}
+                                        onChange={() => {
+                                            setBlackoutVersion(version => version + 1);
+                                            fetchUpcomingWeekends();
+                                        }}
+                                    />
+                                </div>
                             </div>
                         )}
 
+                        {activeTab === 'guests' && (
+                            <Guests
+                                apiUrl={API_URL}
+                                authenticatedFetch={authenticatedFetch}
+                                setMessage={setMessage}
+                                transportOptions={transportOptions}
+                            />
+                        )}
+
+                        {activeTab === 'reservations' && (
+                            <Reservations
+                                apiUrl={API_URL}
+                                authenticatedFetch={authenticatedFetch}
+                                setMessage={setMessage}
+                            />
+                        )}
+
                         {activeTab === 'settings' && (
                             <div>
                                 <h3 className="font-semibold text-lg mb-4">Golf Club Credentials</h3>
@@ -1067,14 +1717,127 @@ const App = () => {
                                         </p>
                                     </div>
                                 </div>
+
+                                <h3 className="font-semibold text-lg mt-8 mb-2">Cancellation Watch</h3>
+                                <p className="text-sm text-gray-600 mb-4">
+                                    When a date has no open slots in range, the app keeps checking the tee sheet and books as soon as
+                                    a cancellation opens one. It checks faster for morning ranges and in the last 48 hours before play.
+                                </p>
+                                <div className="grid grid-cols-1 md:grid-cols-4 gap-3 max-w-2xl">
+                                    <label className="text-sm">
+                                        Check every (min)
+                                        <input
+                                            type="number"
+                                            min={1}
+                                            value={watchSettings.interval_minutes}
+                                            onChange={(e) => setWatchSettings({ ...watchSettings, interval_minutes: parseInt(e.target.value) || '' })}
+                                            className="w-full p-2 border rounded-md"
+                                        />
+                                    </label>
+                                    <label className="text-sm">
+                                        Fast checks (min)
+                                        <input
+                                            type="number"
+                                            min={1}
+                                            value={watchSettings.fast_interval_minutes}
+                                            onChange={(e) => setWatchSettings({ ...watchSettings, fast_interval_minutes: parseInt(e.target.value) || '' })}
+                                            className="w-full p-2 border rounded-md"
+                                        />
+                                    </label>
+                                    <label className="text-sm">
+                                        Stop (hours before play)
+                                        <input
+                                            type="number"
+                                            min={0}
+                                            value={watchSettings.cutoff_hours}
+                                            onChange={(e) => setWatchSettings({ ...watchSettings, cutoff_hours: e.target.value === '' ? '' : parseInt(e.target.value) })}
+                                            className="w-full p-2 border rounded-md"
+                                        />
+                                    </label>
+                                    <button
+                                        onClick={saveWatchSettings}
+                                        className="bg-blue-500 text-white px-4 py-2 rounded-md hover:bg-blue-600 h-fit self-end"
+                                    >
+                                        Save
+                                    </button>
+                                </div>
+
+                                <h3 className="font-semibold text-lg mt-8 mb-2">Booking Window</h3>
+                                <p className="text-sm text-gray-600 mb-4">
+                                    When the club opens a date for booking. Manual bookings, weekend and recurring automation and the
+                                    timed launch at the opening moment all follow this; change it here if the club changes its policy.
+                                </p>
+                                <div className="grid grid-cols-1 md:grid-cols-4 gap-3 max-w-2xl">
+                                    <label className="text-sm">
+                                        Days in advance
+                                        <input
+                                            type="number"
+                                            min={0}
+                                            max={30}
+                                            value={bookingWindow.leadDays}
+                                            onChange={(e) => setBookingWindow({ ...bookingWindow, leadDays: e.target.value === '' ? '' : parseInt(e.target.value) })}
+                                            className="w-full p-2 border rounded-md"
+                                        />
+                                    </label>
+                                    <label className="text-sm">
+                                        Opens at
+                                        <input
+                                            type="time"
+                                            value={bookingWindow.openTime.slice(0, 5)}
+                                            onChange={(e) => setBookingWindow({ ...bookingWindow, openTime: e.target.value })}
+                                            className="w-full p-2 border rounded-md"
+                                        />
+                                    </label>
+                                    <label className="text-sm">
+                                        Time zone
+                                        <input
+                                            type="text"
+                                            value={bookingWindow.timeZone}
+                                            onChange={(e) => setBookingWindow({ ...bookingWindow, timeZone: e.target.value })}
+                                            className="w-full p-2 border rounded-md"
+                                            title={bookingWindow.serverTimeZone && `Must match the server's TZ (${bookingWindow.serverTimeZone})`}
+                                        />
+                                    </label>
+                                    <button
+                                        onClick={saveBookingWindow}
+                                        className="bg-blue-500 text-white px-4 py-2 rounded-md hover:bg-blue-600 h-fit self-end"
+                                    >
+                                        Save
+                                    </button>
+                                </div>
+
+                                <p className="text-sm text-gray-600 mt-4 mb-2">Exceptions by day of play (leave empty to use the values above):</p>
+                                <div className="grid grid-cols-1 md:grid-cols-7 gap-2 max-w-4xl">
+                                    {['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'].map((dayName, day) => (
+                                        <div key={day} className="text-sm p-2 border rounded-md">
+                                            <p className="font-medium mb-1">{dayName}</p>
+                                            <input
+                                                type="number"
+                                                min={0}
+                                                max={30}
+                                                value={bookingWindow.dayOverrides[day]?.leadDays ?? ''}
+                                                onChange={(e) => updateDayOverride(day, 'leadDays', e.target.value === '' ? '' : parseInt(e.target.value))}
+                                                className="w-full p-1 border rounded-md mb-1"
+                                                placeholder={`${bookingWindow.leadDays} days`}
+                                            />
+                                            <input
+                                                type="time"
+                                                value={bookingWindow.dayOverrides[day]?.openTime?.slice(0, 5) || ''}
+                                                onChange={(e) => updateDayOverride(day, 'openTime', e.target.value)}
+                                                className="w-full p-1 border rounded-md"
+                                                title={`Default ${bookingWindow.openTime.slice(0, 5)}`}
+                                            />
+                                        </div>
+                                    ))}
+                                </div>
                             </div>
                         )}
                     </div>
                 </div>
 
                 <div className="text-center text-sm text-gray-500 mt-6">
-                    <p>Manual bookings check every minute | Weekend auto-booking runs Sat/Sun at 6:30 AM EDT</p>
-                    <p>All times are in Eastern Time (EDT/EST)</p>
+                    <p>Manual bookings check every minute | Dates open for booking {bookingWindow.description}</p>
+                    <p>All times are in the club's time zone ({bookingWindow.timeZone})</p>
                 </div>
             </div>
         </div>
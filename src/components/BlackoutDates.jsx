@@ -0,0 +1,198 @@
+// src/components/BlackoutDates.jsx - Blackout Dates and Vacation Holds
+import React, { useState, useEffect, useCallback } from 'react';
+import { Plus, Pencil, Trash2, Save, X } from 'lucide-react';
+
+const emptyBlackout = { startDate: '', endDate: '', reason: '' };
+
+const formatDay = (dateKey) => new Date(dateKey + 'T12:00:00').toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+});
+
+const BlackoutDates = ({ apiUrl, authenticatedFetch, setMessage, onChange }) => {
+    const [blackouts, setBlackouts] = useState([]);
+    const [editingId, setEditingId] = useState(null); // 'new' or a blackout id
+    const [form, setForm] = useState(emptyBlackout);
+    const [saving, setSaving] = useState(false);
+
+    const fetchBlackouts = useCallback(async () => {
+        try {
+            const response = await authenticatedFetch(`${apiUrl}/blackout-dates`);
+            if (!response) return;
+            const data = await response.json();
+            setBlackouts(Array.isArray(data) ? data : []);
+        } catch (error) {
+            console.error('Error fetching blackout dates:', error);
+        }
+    }, [apiUrl, authenticatedFetch]);
+
+    useEffect(() => {
+        fetchBlackouts();
+    }, [fetchBlackouts]);
+
+    const startEditing = (blackout) => {
+        if (!blackout) {
+            setEditingId('new');
+            setForm(emptyBlackout);
+            return;
+        }
+
+        setEditingId(blackout.id);
+        setForm({
+            startDate: blackout.start_date,
+            endDate: blackout.end_date === blackout.start_date ? '' : blackout.end_date,
+            reason: blackout.reason || ''
+        });
+    };
+
+    const saveBlackout = async () => {
+        setSaving(true);
+        try {
+            const isNew = editingId === 'new';
+            const response = await authenticatedFetch(`${apiUrl}/blackout-dates${isNew ? '' : `/${editingId}`}`, {
+                method: isNew ? 'POST' : 'PUT',
+                body: JSON.stringify(form)
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setMessage('✅ Blackout saved - automation will skip these dates');
+                setEditingId(null);
+                fetchBlackouts();
+                onChange?.();
+            } else {
+                setMessage(`❌ ${data.error || 'Could not save blackout'}`);
+            }
+        } catch (error) {
+            setMessage('❌ Error saving blackout: ' + error.message);
+        }
+        setSaving(false);
+    };
+
+    const deleteBlackout = async (blackout) => {
+        try {
+            const response = await authenticatedFetch(`${apiUrl}/blackout-dates/${blackout.id}`, {
+                method: 'DELETE'
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setMessage('✅ Blackout removed');
+                fetchBlackouts();
+                onChange?.();
+            } else {
+                setMessage(`❌ ${data.error || 'Could not remove blackout'}`);
+            }
+        } catch (error) {
+            setMessage('❌ Error removing blackout: ' + error.message);
+        }
+    };
+
+    const renderForm = () => (
+        <div className="flex flex-wrap items-center gap-3 p-3 bg-blue-50 rounded-md text-sm">
+            <label className="flex items-center gap-2">
+                From:
+                <input
+                    type="date"
+                    value={form.startDate}
+                    onChange={(e) => setForm({ ...form, startDate: e.target.value })}
+                    className="p-1 border rounded-md"
+                />
+            </label>
+            <label className="flex items-center gap-2">
+                Until:
+                <input
+                    type="date"
+                    value={form.endDate}
+                    min={form.startDate}
+                    onChange={(e) => setForm({ ...form, endDate: e.target.value })}
+                    className="p-1 border rounded-md"
+                    title="Leave empty for a single date"
+                />
+            </label>
+            <input
+                type="text"
+                value={form.reason}
+                onChange={(e) => setForm({ ...form, reason: e.target.value })}
+                className="p-1 border rounded-md flex-1 min-w-40"
+                placeholder="Reason (optional), e.g. Vacation"
+                maxLength={255}
+            />
+            <button
+                onClick={saveBlackout}
+                disabled={saving || !form.startDate}
+                className="flex items-center gap-1 px-3 py-1 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:opacity-50"
+            >
+                <Save size={16} />
+                {saving ? 'Saving...' : 'Save'}
+            </button>
+            <button
+                onClick={() => setEditingId(null)}
+                className="p-1 text-gray-600 hover:bg-gray-100 rounded-md"
+                title="Close"
+            >
+                <X size={16} />
+            </button>
+        </div>
+    );
+
+    return (
+        <div>
+            <div className="flex items-center justify-between mb-3">
+                <h3 className="font-semibold text-lg">🏖️ Blackout Dates</h3>
+                {editingId === null && (
+                    <button
+                        onClick={() => startEditing(null)}
+                        className="flex items-center gap-1 px-3 py-2 text-sm text-blue-600 hover:bg-blue-50 rounded-md"
+                    >
+                        <Plus size={16} />
+                        Add Blackout
+                    </button>
+                )}
+            </div>
+
+            {editingId === 'new' && renderForm()}
+
+            {blackouts.length === 0 && editingId !== 'new' ? (
+                <p className="text-gray-500 text-sm">No blackouts - weekend and recurring automation book every date they cover.</p>
+            ) : (
+                <div className="space-y-2 mt-2">
+                    {blackouts.map(blackout => (
+                        editingId === blackout.id ? (
+                            <div key={blackout.id}>{renderForm()}</div>
+                        ) : (
+                            <div key={blackout.id} className="flex items-center justify-between border rounded-lg p-3 text-sm">
+                                <div>
+                                    <span className="font-semibold">
+                                        {formatDay(blackout.start_date)}
+                                        {blackout.end_date !== blackout.start_date && ` – ${formatDay(blackout.end_date)}`}
+                                    </span>
+                                    {blackout.reason && <span className="ml-2 text-gray-600">{blackout.reason}</span>}
+                                </div>
+                                <div className="flex gap-1">
+                                    <button
+                                        onClick={() => startEditing(blackout)}
+                                        className="p-2 text-blue-600 hover:bg-blue-50 rounded-md"
+                                        title="Edit Blackout"
+                                    >
+                                        <Pencil size={16} />
+                                    </button>
+                                    <button
+                                        onClick={() => deleteBlackout(blackout)}
+                                        className="p-2 text-red-600 hover:bg-red-50 rounded-md"
+                                        title="Remove Blackout"
+                                    >
+                                        <Trash2 size={16} />
+                                    </button>
+                                </div>
+                            </div>
+                        )
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default BlackoutDates;
@@ -0,0 +1,310 @@
+// src/components/Guests.jsx - Guest List Management Tab
+import React, { useState, useEffect, useCallback } from 'react';
+import { ArrowUp, ArrowDown, Trash2, Pencil, Save, X, Download } from 'lucide-react';
+
+const emptyGuest = {
+    name: '',
+    playerId: '',
+    playerType: 'Guest',
+    transport: 'Riding with Caddie',
+    isActive: true
+};
+
+const Guests = ({ apiUrl, authenticatedFetch, setMessage, transportOptions }) => {
+    const [guests, setGuests] = useState([]);
+    const [newGuest, setNewGuest] = useState(emptyGuest);
+    const [editingId, setEditingId] = useState(null);
+    const [editGuest, setEditGuest] = useState(emptyGuest);
+    const [loading, setLoading] = useState(false);
+    const [importing, setImporting] = useState(false);
+
+    const fetchGuests = useCallback(async () => {
+        try {
+            const response = await authenticatedFetch(`${apiUrl}/guests`);
+            if (!response) return;
+            const data = await response.json();
+            setGuests(data);
+        } catch (error) {
+            console.error('Error fetching guests:', error);
+        }
+    }, [apiUrl, authenticatedFetch]);
+
+    useEffect(() => {
+        fetchGuests();
+    }, [fetchGuests]);
+
+    const toRequestBody = (guest) => JSON.stringify(guest);
+
+    const fromRow = (row) => ({
+        name: row.name,
+        playerId: row.player_id || '',
+        playerType: row.player_type || 'Guest',
+        transport: row.transport || 'Riding with Caddie',
+        isActive: !!row.is_active
+    });
+
+    const addGuest = async () => {
+        if (!newGuest.name || !newGuest.playerId) {
+            setMessage('❌ Guest name and site player ID are required');
+            return;
+        }
+
+        setLoading(true);
+        try {
+            const response = await authenticatedFetch(`${apiUrl}/guests`, {
+                method: 'POST',
+                body: toRequestBody(newGuest)
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setMessage(`✅ Added ${newGuest.name}`);
+                setNewGuest(emptyGuest);
+                fetchGuests();
+            } else {
+                setMessage(`❌ ${data.error || 'Could not add guest'}`);
+            }
+        } catch (error) {
+            setMessage('❌ Error adding guest: ' + error.message);
+        }
+        setLoading(false);
+    };
+
+    const saveGuest = async (id, guest) => {
+        try {
+            const response = await authenticatedFetch(`${apiUrl}/guests/${id}`, {
+                method: 'PUT',
+                body: toRequestBody(guest)
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setEditingId(null);
+                fetchGuests();
+            } else {
+                setMessage(`❌ ${data.error || 'Could not update guest'}`);
+            }
+        } catch (error) {
+            setMessage('❌ Error updating guest: ' + error.message);
+        }
+    };
+
+    const deleteGuest = async (guest) => {
+        if (!confirm(`Remove ${guest.name} from the guest list?`)) return;
+
+        try {
+            const response = await authenticatedFetch(`${apiUrl}/guests/${guest.id}`, {
+                method: 'DELETE'
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setMessage(`✅ Removed ${guest.name}`);
+                fetchGuests();
+            } else {
+                setMessage(`❌ ${data.error || 'Could not remove guest'}`);
+            }
+        } catch (error) {
+            setMessage('❌ Error removing guest: ' + error.message);
+        }
+    };
+
+    const importFromClub = async () => {
+        setImporting(true);
+        setMessage('');
+        try {
+            const response = await authenticatedFetch(`${apiUrl}/guests/import`, {
+                method: 'POST'
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setMessage(`✅ ${data.message}`);
+                fetchGuests();
+            } else {
+                setMessage(`❌ Import failed: ${data.error || 'Unknown error'}`);
+            }
+        } catch (error) {
+            setMessage('❌ Error importing guests: ' + error.message);
+        }
+        setImporting(false);
+    };
+
+    const moveGuest = async (index, direction) => {
+        const target = index + direction;
+        if (target < 0 || target >= guests.length) return;
+
+        const reordered = [...guests];
+        [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+        setGuests(reordered);
+
+        try {
+            await authenticatedFetch(`${apiUrl}/guests/order`, {
+                method: 'PUT',
+                body: JSON.stringify({ ids: reordered.map(g => g.id) })
+            });
+        } catch (error) {
+            setMessage('❌ Error saving guest order: ' + error.message);
+            fetchGuests();
+        }
+    };
+
+    const renderFields = (guest, setGuest) => (
+        <>
+            <input
+                type="text"
+                value={guest.name}
+                onChange={(e) => setGuest({ ...guest, name: e.target.value })}
+                className="p-2 border rounded-md"
+                placeholder="Last, First"
+            />
+            <input
+                type="text"
+                value={guest.playerId}
+                onChange={(e) => setGuest({ ...guest, playerId: e.target.value })}
+                className="p-2 border rounded-md"
+                placeholder="Site player ID"
+            />
+            <select
+                value={guest.playerType}
+                onChange={(e) => setGuest({ ...guest, playerType: e.target.value })}
+                className="p-2 border rounded-md"
+            >
+                <option value="Guest">Guest</option>
+                <option value="Member">Member</option>
+            </select>
+            <select
+                value={guest.transport}
+                onChange={(e) => setGuest({ ...guest, transport: e.target.value })}
+                className="p-2 border rounded-md"
+            >
+                {/* Keep a saved transport selectable even if the club no longer offers it */}
+                {(transportOptions.includes(guest.transport) ? transportOptions : [guest.transport, ...transportOptions]).map(option => (
+                    <option key={option} value={option}>{option}</option>
+                ))}
+            </select>
+        </>
+    );
+
+    const activeCount = guests.filter(g => g.is_active).length;
+
+    return (
+        <div>
+            <div className="mb-6 p-4 bg-blue-50 rounded-lg">
+                <h3 className="font-semibold mb-3 text-lg">Add Guest</h3>
+                <div className="grid grid-cols-1 md:grid-cols-5 gap-3">
+                    {renderFields(newGuest, setNewGuest)}
+                    <button
+                        onClick={addGuest}
+                        disabled={loading}
+                        className="bg-blue-500 text-white px-4 py-2 rounded-md hover:bg-blue-600 disabled:opacity-50 h-fit"
+                    >
+                        {loading ? 'Adding...' : 'Add Guest'}
+                    </button>
+                </div>
+                <div className="mt-2 text-xs text-gray-600">
+                    💡 Tip: The first three active guests (in the order below) fill P2-P4. P1 is always you.
+                </div>
+            </div>
+
+            <div className="flex items-center justify-between mb-3">
+                <h3 className="font-semibold text-lg">Guest List ({activeCount} active)</h3>
+                <button
+                    onClick={importFromClub}
+                    disabled={importing}
+                    className="flex items-center gap-2 px-3 py-2 text-sm text-blue-600 hover:bg-blue-50 rounded-md disabled:opacity-50"
+                    title="Import players from the club's member and guest directory"
+                >
+                    <Download size={16} className={importing ? 'animate-pulse' : ''} />
+                    {importing ? 'Importing...' : 'Import from Club Site'}
+                </button>
+            </div>
+            {guests.length === 0 ? (
+                <p className="text-gray-500">No guests configured yet.</p>
+            ) : (
+                <div className="space-y-2">
+                    {guests.map((guest, index) => (
+                        <div key={guest.id} className={`border rounded-lg p-3 ${guest.is_active ? '' : 'bg-gray-50 opacity-75'}`}>
+                            {editingId === guest.id ? (
+                                <div className="grid grid-cols-1 md:grid-cols-5 gap-3">
+                                    {renderFields(editGuest, setEditGuest)}
+                                    <div className="flex gap-2">
+                                        <button
+                                            onClick={() => saveGuest(guest.id, editGuest)}
+                                            className="p-2 text-green-600 hover:bg-green-50 rounded"
+                                            title="Save"
+                                        >
+                                            <Save size={18} />
+                                        </button>
+                                        <button
+                                            onClick={() => setEditingId(null)}
+                                            className="p-2 text-gray-500 hover:bg-gray-50 rounded"
+                                            title="Cancel"
+                                        >
+                                            <X size={18} />
+                                        </button>
+                                    </div>
+                                </div>
+                            ) : (
+                                <div className="flex items-center justify-between">
+                                    <div>
+                                        <span className="font-semibold">{guest.name}</span>
+                                        <span className="ml-2 text-xs text-gray-500">
+                                            {guest.player_id}_{guest.player_type} | {guest.transport}
+                                        </span>
+                                    </div>
+                                    <div className="flex items-center gap-2">
+                                        <label className="flex items-center gap-1 text-xs text-gray-600 mr-2">
+                                            <input
+                                                type="checkbox"
+                                                checked={!!guest.is_active}
+                                                onChange={(e) => saveGuest(guest.id, { ...fromRow(guest), isActive: e.target.checked })}
+                                                className="rounded"
+                                            />
+                                            Active
+                                        </label>
+                                        <button
+                                            onClick={() => moveGuest(index, -1)}
+                                            disabled={index === 0}
+                                            className="p-2 text-gray-500 hover:bg-gray-50 rounded disabled:opacity-30"
+                                            title="Move Up"
+                                        >
+                                            <ArrowUp size={18} />
+                                        </button>
+                                        <button
+                                            onClick={() => moveGuest(index, 1)}
+                                            disabled={index === guests.length - 1}
+                                            className="p-2 text-gray-500 hover:bg-gray-50 rounded disabled:opacity-30"
+                                            title="Move Down"
+                                        >
+                                            <ArrowDown size={18} />
+                                        </button>
+                                        <button
+                                            onClick={() => {
+                                                setEditingId(guest.id);
+                                                setEditGuest(fromRow(guest));
+                                            }}
+                                            className="p-2 text-blue-500 hover:bg-blue-50 rounded"
+                                            title="Edit Guest"
+                                        >
+                                            <Pencil size={18} />
+                                        </button>
+                                        <button
+                                            onClick={() => deleteGuest(guest)}
+                                            className="p-2 text-red-500 hover:bg-red-50 rounded"
+                                            title="Delete Guest"
+                                        >
+                                            <Trash2 size={18} />
+                                        </button>
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default Guests;
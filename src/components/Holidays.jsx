@@ -0,0 +1,151 @@
+// src/components/Holidays.jsx - Federal and Custom Holidays for Weekend Automation
+import React, { useState, useEffect, useCallback } from 'react';
+import { Plus, Trash2, Save, X } from 'lucide-react';
+
+const formatDay = (dateKey) => new Date(dateKey + 'T12:00:00').toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+});
+
+const Holidays = ({ apiUrl, authenticatedFetch, setMessage, holidaysEnabled }) => {
+    const [holidays, setHolidays] = useState([]);
+    const [adding, setAdding] = useState(false);
+    const [form, setForm] = useState({ date: '', name: '' });
+
+    const fetchHolidays = useCallback(async () => {
+        try {
+            const response = await authenticatedFetch(`${apiUrl}/holidays`);
+            if (!response) return;
+            const data = await response.json();
+            setHolidays(Array.isArray(data) ? data : []);
+        } catch (error) {
+            console.error('Error fetching holidays:', error);
+        }
+    }, [apiUrl, authenticatedFetch]);
+
+    useEffect(() => {
+        fetchHolidays();
+    }, [fetchHolidays]);
+
+    const addHoliday = async () => {
+        try {
+            const response = await authenticatedFetch(`${apiUrl}/holidays`, {
+                method: 'POST',
+                body: JSON.stringify(form)
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setMessage(`✅ Added ${form.name}`);
+                setAdding(false);
+                setForm({ date: '', name: '' });
+                fetchHolidays();
+            } else {
+                setMessage(`❌ ${data.error || 'Could not add holiday'}`);
+            }
+        } catch (error) {
+            setMessage('❌ Error adding holiday: ' + error.message);
+        }
+    };
+
+    const deleteHoliday = async (holiday) => {
+        try {
+            const response = await authenticatedFetch(`${apiUrl}/holidays/${holiday.id}`, {
+                method: 'DELETE'
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setMessage(`✅ Removed ${holiday.name}`);
+                fetchHolidays();
+            } else {
+                setMessage(`❌ ${data.error || 'Could not remove holiday'}`);
+            }
+        } catch (error) {
+            setMessage('❌ Error removing holiday: ' + error.message);
+        }
+    };
+
+    return (
+        <div>
+            <div className="flex items-center justify-between mb-3">
+                <h3 className="font-semibold text-lg">🎉 Holidays</h3>
+                {!adding && (
+                    <button
+                        onClick={() => setAdding(true)}
+                        className="flex items-center gap-1 px-3 py-2 text-sm text-blue-600 hover:bg-blue-50 rounded-md"
+                    >
+                        <Plus size={16} />
+                        Add Holiday
+                    </button>
+                )}
+            </div>
+
+            <p className="text-sm text-gray-600 mb-2">
+                {holidaysEnabled
+                    ? 'Weekend auto-booking books these days like a Saturday or Sunday.'
+                    : 'Switch on "Holidays" above to have weekend auto-booking book these days.'}
+            </p>
+
+            {adding && (
+                <div className="flex flex-wrap items-center gap-3 p-3 mb-2 bg-blue-50 rounded-md text-sm">
+                    <input
+                        type="date"
+                        value={form.date}
+                        onChange={(e) => setForm({ ...form, date: e.target.value })}
+                        className="p-1 border rounded-md"
+                    />
+                    <input
+                        type="text"
+                        value={form.name}
+                        onChange={(e) => setForm({ ...form, name: e.target.value })}
+                        className="p-1 border rounded-md flex-1 min-w-40"
+                        placeholder="Name, e.g. Member-Guest Monday"
+                        maxLength={100}
+                    />
+                    <button
+                        onClick={addHoliday}
+                        disabled={!form.date || !form.name.trim()}
+                        className="flex items-center gap-1 px-3 py-1 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:opacity-50"
+                    >
+                        <Save size={16} />
+                        Save
+                    </button>
+                    <button
+                        onClick={() => setAdding(false)}
+                        className="p-1 text-gray-600 hover:bg-gray-100 rounded-md"
+                        title="Close"
+                    >
+                        <X size={16} />
+                    </button>
+                </div>
+            )}
+
+            <div className="grid md:grid-cols-2 gap-2">
+                {holidays.map(holiday => (
+                    <div key={holiday.date} className="flex items-center justify-between border rounded-lg px-3 py-2 text-sm">
+                        <div>
+                            <span className="font-semibold">{formatDay(holiday.date)}</span>
+                            <span className="ml-2 text-gray-600">{holiday.name}</span>
+                        </div>
+                        {holiday.source === 'custom' ? (
+                            <button
+                                onClick={() => deleteHoliday(holiday)}
+                                className="p-1 text-red-600 hover:bg-red-50 rounded-md"
+                                title="Remove Holiday"
+                            >
+                                <Trash2 size={16} />
+                            </button>
+                        ) : (
+                            <span className="text-xs text-gray-500">Federal</span>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default Holidays;
@@ -0,0 +1,48 @@
+// src/components/OpeningCountdown.jsx - Live Countdown to a Booking's Opening Time
+import React, { useState, useEffect } from 'react';
+
+const formatRemaining = (ms) => {
+    const totalSeconds = Math.floor(ms / 1000);
+    const days = Math.floor(totalSeconds / 86400);
+    const hours = String(Math.floor((totalSeconds % 86400) / 3600)).padStart(2, '0');
+    const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0');
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+    return `${days > 0 ? `${days}d ` : ''}${hours}:${minutes}:${seconds}`;
+};
+
+// opensAt in milliseconds; confirmed = read from the club's own countdown rather than estimated
+const OpeningCountdown = ({ opensAt, confirmed }) => {
+    const [now, setNow] = useState(Date.now());
+    const remaining = opensAt - now;
+
+    // Tick once a second until the opening moment, then stop
+    useEffect(() => {
+        setNow(Date.now());
+        if (opensAt <= Date.now()) return;
+
+        const timer = setInterval(() => {
+            const current = Date.now();
+            setNow(current);
+            if (current >= opensAt) clearInterval(timer);
+        }, 1000);
+        return () => clearInterval(timer);
+    }, [opensAt]);
+
+    const source = confirmed ? 'club countdown' : 'estimated';
+
+    return (
+        <p className="text-xs text-gray-500">
+            Opens: {new Date(opensAt).toLocaleString()} ({source})
+            {remaining > 0 ? (
+                <span className={`ml-2 font-mono ${remaining < 60000 ? 'text-red-600 font-semibold' : 'text-blue-600'}`}>
+                    ⏱️ {formatRemaining(remaining)}
+                </span>
+            ) : (
+                <span className="ml-2 text-green-600">🟢 Open</span>
+            )}
+        </p>
+    );
+};
+
+export default OpeningCountdown;
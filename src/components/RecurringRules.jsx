@@ -0,0 +1,388 @@
+// src/components/RecurringRules.jsx - Recurring Weekday Booking Rules
+import React, { useState, useEffect, useCallback } from 'react';
+import { Plus, Pencil, Trash2, Save, X } from 'lucide-react';
+import TimeWindows from './TimeWindows';
+
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const emptyRule = {
+    name: '',
+    daysOfWeek: [3],
+    timeWindows: [{ start: '07:30', end: '09:00' }],
+    partySize: 4,
+    roundLength: 18,
+    guestIds: [],
+    startDate: '',
+    endDate: '',
+    comments: '',
+    notes: '',
+    enabled: true
+};
+
+const STATUS_BADGES = {
+    booked: 'bg-green-100 text-green-800',
+    no_slots: 'bg-red-100 text-red-800',
+    failed: 'bg-orange-100 text-orange-800',
+    open: 'bg-yellow-100 text-yellow-800',
+    scheduled: 'bg-blue-100 text-blue-800',
+    blackout: 'bg-purple-100 text-purple-800',
+    cancelled: 'bg-gray-200 text-gray-700'
+};
+
+const formatWindows = (windows) => windows.map(w => `${w.start.slice(0, 5)}-${w.end.slice(0, 5)}`).join(', then ');
+
+// refreshKey: bump to reload upcoming statuses (e.g. after a blackout change)
+const RecurringRules = ({ apiUrl, authenticatedFetch, setMessage, guests, refreshKey }) => {
+    const [rules, setRules] = useState([]);
+    const [editingId, setEditingId] = useState(null); // 'new' or a rule id
+    const [form, setForm] = useState(emptyRule);
+    const [saving, setSaving] = useState(false);
+
+    const fetchRules = useCallback(async () => {
+        try {
+            const response = await authenticatedFetch(`${apiUrl}/recurring-rules`);
+            if (!response) return;
+            const data = await response.json();
+            setRules(Array.isArray(data) ? data : []);
+        } catch (error) {
+            console.error('Error fetching recurring rules:', error);
+        }
+    }, [apiUrl, authenticatedFetch]);
+
+    useEffect(() => {
+        fetchRules();
+    }, [fetchRules, refreshKey]);
+
+    const startEditing = (rule) => {
+        if (!rule) {
+            setEditingId('new');
+            setForm(emptyRule);
+            return;
+        }
+
+        setEditingId(rule.id);
+        setForm({
+            name: rule.name,
+            daysOfWeek: rule.days_of_week,
+            timeWindows: rule.time_windows.map(w => ({ start: w.start.slice(0, 5), end: w.end.slice(0, 5) })),
+            partySize: rule.party_size,
+            roundLength: rule.round_length,
+            guestIds: rule.guest_ids,
+            startDate: rule.start_date || '',
+            endDate: rule.end_date || '',
+            comments: rule.comments || '',
+            notes: rule.notes || '',
+            enabled: rule.is_enabled
+        });
+    };
+
+    const toggleDay = (day) => {
+        const daysOfWeek = form.daysOfWeek.includes(day)
+            ? form.daysOfWeek.filter(d => d !== day)
+            : [...form.daysOfWeek, day];
+        setForm({ ...form, daysOfWeek });
+    };
+
+    const toggleGuest = (guestId) => {
+        if (form.guestIds.includes(guestId)) {
+            setForm({ ...form, guestIds: form.guestIds.filter(id => id !== guestId) });
+        } else if (form.guestIds.length < form.partySize - 1) {
+            setForm({ ...form, guestIds: [...form.guestIds, guestId] });
+        }
+    };
+
+    const saveRule = async () => {
+        setSaving(true);
+        try {
+            const isNew = editingId === 'new';
+            const response = await authenticatedFetch(`${apiUrl}/recurring-rules${isNew ? '' : `/${editingId}`}`, {
+                method: isNew ? 'POST' : 'PUT',
+                body: JSON.stringify(form)
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setMessage(`✅ Recurring rule "${form.name}" saved`);
+                setEditingId(null);
+                fetchRules();
+            } else {
+                setMessage(`❌ ${data.error || 'Could not save rule'}`);
+            }
+        } catch (error) {
+            setMessage('❌ Error saving rule: ' + error.message);
+        }
+        setSaving(false);
+    };
+
+    const toggleRule = async (rule) => {
+        try {
+            const response = await authenticatedFetch(`${apiUrl}/recurring-rules/${rule.id}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ enabled: !rule.is_enabled })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                fetchRules();
+            } else {
+                setMessage(`❌ ${data.error || 'Could not update rule'}`);
+            }
+        } catch (error) {
+            setMessage('❌ Error updating rule: ' + error.message);
+        }
+    };
+
+    const deleteRule = async (rule) => {
+        if (!confirm(`Delete the recurring rule "${rule.name}"? Dates it already booked stay booked.`)) return;
+
+        try {
+            const response = await authenticatedFetch(`${apiUrl}/recurring-rules/${rule.id}`, {
+                method: 'DELETE'
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setMessage(`✅ Deleted "${rule.name}"`);
+                fetchRules();
+            } else {
+                setMessage(`❌ ${data.error || 'Could not delete rule'}`);
+            }
+        } catch (error) {
+            setMessage('❌ Error deleting rule: ' + error.message);
+        }
+    };
+
+    const renderForm = () => (
+        <div className="p-3 bg-blue-50 rounded-md space-y-3 text-sm">
+            <div className="flex flex-wrap items-center gap-3">
+                <input
+                    type="text"
+                    value={form.name}
+                    onChange={(e) => setForm({ ...form, name: e.target.value })}
+                    className="p-2 border rounded-md flex-1 min-w-48"
+                    placeholder="Rule name, e.g. Wednesday group"
+                    maxLength={100}
+                />
+                <div className="flex gap-1">
+                    {DAY_LABELS.map((label, day) => (
+                        <button
+                            key={label}
+                            onClick={() => toggleDay(day)}
+                            className={`px-2 py-1 rounded border ${
+                                form.daysOfWeek.includes(day)
+                                    ? 'bg-blue-500 text-white border-blue-500'
+                                    : 'bg-white text-gray-700 hover:bg-gray-50'
+                            }`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div>
+                <p className="font-medium mb-2">Time windows (tried in order)</p>
+                <TimeWindows
+                    windows={form.timeWindows}
+                    onChange={(timeWindows) => setForm({ ...form, timeWindows })}
+                />
+            </div>
+
+            <div className="flex flex-wrap items-center gap-4">
+                <label className="flex items-center gap-2">
+                    Party size:
+                    <select
+                        value={form.partySize}
+                        onChange={(e) => setForm({ ...form, partySize: parseInt(e.target.value), guestIds: [] })}
+                        className="p-1 border rounded-md"
+                    >
+                        <option value={4}>Foursome</option>
+                        <option value={3}>Threesome</option>
+                        <option value={2}>Twosome</option>
+                        <option value={1}>Single</option>
+                    </select>
+                </label>
+                <label className="flex items-center gap-2">
+                    Round length:
+                    <select
+                        value={form.roundLength}
+                        onChange={(e) => setForm({ ...form, roundLength: parseInt(e.target.value) })}
+                        className="p-1 border rounded-md"
+                    >
+                        <option value={18}>18 holes</option>
+                        <option value={9}>9 holes</option>
+                    </select>
+                </label>
+                <label className="flex items-center gap-2">
+                    From:
+                    <input
+                        type="date"
+                        value={form.startDate}
+                        onChange={(e) => setForm({ ...form, startDate: e.target.value })}
+                        className="p-1 border rounded-md"
+                    />
+                </label>
+                <label className="flex items-center gap-2">
+                    Until:
+                    <input
+                        type="date"
+                        value={form.endDate}
+                        onChange={(e) => setForm({ ...form, endDate: e.target.value })}
+                        className="p-1 border rounded-md"
+                    />
+                </label>
+            </div>
+
+            {form.partySize > 1 && (
+                <div>
+                    <p className="font-medium mb-2">
+                        Players: You + {form.guestIds.length}/{form.partySize - 1} guests
+                        <span className="text-xs text-gray-500 ml-2">(none chosen = first active guests)</span>
+                    </p>
+                    <div className="flex flex-wrap gap-2">
+                        {guests.filter(g => g.is_active).map(guest => {
+                            const position = form.guestIds.indexOf(guest.id);
+                            return (
+                                <button
+                                    key={guest.id}
+                                    onClick={() => toggleGuest(guest.id)}
+                                    className={`px-3 py-1 rounded-full border ${
+                                        position >= 0
+                                            ? 'bg-blue-500 text-white border-blue-500'
+                                            : 'bg-white text-gray-700 hover:bg-gray-50'
+                                    }`}
+                                >
+                                    {position >= 0 && `P${position + 2}: `}{guest.name}
+                                </button>
+                            );
+                        })}
+                    </div>
+                </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <input
+                    type="text"
+                    value={form.comments}
+                    onChange={(e) => setForm({ ...form, comments: e.target.value })}
+                    className="p-2 border rounded-md"
+                    placeholder="Comment for the pro shop"
+                    maxLength={255}
+                />
+                <input
+                    type="text"
+                    value={form.notes}
+                    onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                    className="p-2 border rounded-md"
+                    placeholder="Note"
+                    maxLength={255}
+                />
+            </div>
+
+            <div className="flex gap-2">
+                <button
+                    onClick={saveRule}
+                    disabled={saving}
+                    className="flex items-center gap-1 px-3 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:opacity-50"
+                >
+                    <Save size={16} />
+                    {saving ? 'Saving...' : 'Save Rule'}
+                </button>
+                <button
+                    onClick={() => setEditingId(null)}
+                    className="flex items-center gap-1 px-3 py-2 text-gray-600 hover:bg-gray-100 rounded-md"
+                >
+                    <X size={16} />
+                    Close
+                </button>
+            </div>
+        </div>
+    );
+
+    return (
+        <div>
+            <div className="flex items-center justify-between mb-3">
+                <h3 className="font-semibold text-lg">🔁 Recurring Weekday Rules</h3>
+                {editingId === null && (
+                    <button
+                        onClick={() => startEditing(null)}
+                        className="flex items-center gap-1 px-3 py-2 text-sm text-blue-600 hover:bg-blue-50 rounded-md"
+                    >
+                        <Plus size={16} />
+                        Add Rule
+                    </button>
+                )}
+            </div>
+
+            {editingId === 'new' && renderForm()}
+
+            {rules.length === 0 && editingId !== 'new' ? (
+                <p className="text-gray-500 text-sm">No recurring rules yet - add one to book a weekday (e.g. every Wednesday) automatically.</p>
+            ) : (
+                <div className="space-y-2 mt-2">
+                    {rules.map(rule => (
+                        <div key={rule.id} className="border rounded-lg p-3">
+                            <div className="flex items-center justify-between">
+                                <div>
+                                    <p className="font-semibold">
+                                        {rule.name}
+                                        <span className="ml-2 text-sm font-normal text-gray-600">
+                                            {rule.days_of_week.map(day => DAY_LABELS[day]).join(', ')}
+                                        </span>
+                                    </p>
+                                    <p className="text-sm text-gray-600">
+                                        {formatWindows(rule.time_windows)} | {rule.party_size} players | {rule.round_length} holes
+                                        {(rule.start_date || rule.end_date) && ` | ${rule.start_date || 'now'} to ${rule.end_date || 'no end'}`}
+                                    </p>
+                                </div>
+                                <div className="flex items-center gap-2">
+                                    <label className="flex items-center gap-1 text-sm">
+                                        <input
+                                            type="checkbox"
+                                            checked={rule.is_enabled}
+                                            onChange={() => toggleRule(rule)}
+                                        />
+                                        Active
+                                    </label>
+                                    <button
+                                        onClick={() => startEditing(rule)}
+                                        className="p-2 text-blue-600 hover:bg-blue-50 rounded-md"
+                                        title="Edit Rule"
+                                    >
+                                        <Pencil size={16} />
+                                    </button>
+                                    <button
+                                        onClick={() => deleteRule(rule)}
+                                        className="p-2 text-red-600 hover:bg-red-50 rounded-md"
+                                        title="Delete Rule"
+                                    >
+                                        <Trash2 size={16} />
+                                    </button>
+                                </div>
+                            </div>
+
+                            {rule.upcoming.length > 0 && (
+                                <div className="mt-2 flex flex-wrap gap-2">
+                                    {rule.upcoming.map(day => (
+                                        <span
+                                            key={day.date}
+                                            className={`px-2 py-1 rounded text-xs ${STATUS_BADGES[day.status] || 'bg-gray-100 text-gray-800'}`}
+                                            title={day.statusMessage || day.status}
+                                        >
+                                            {day.dayName.slice(0, 3)} {day.date.slice(5)}: {day.status.replace('_', ' ')}
+                                            {day.bookedTime && ` ${day.bookedTime.slice(0, 5)}`}
+                                        </span>
+                                    ))}
+                                </div>
+                            )}
+
+                            {editingId === rule.id && <div className="mt-3">{renderForm()}</div>}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default RecurringRules;
@@ -0,0 +1,233 @@
+// src/components/Reservations.jsx - Reservations on the Club Site
+import React, { useState, useEffect, useCallback } from 'react';
+import { RefreshCw, Ban, Pencil, Save, X } from 'lucide-react';
+
+const Reservations = ({ apiUrl, authenticatedFetch, setMessage }) => {
+    const [reservations, setReservations] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [cancellingId, setCancellingId] = useState(null);
+    const [guests, setGuests] = useState([]);
+    const [editingId, setEditingId] = useState(null);
+    const [editTime, setEditTime] = useState('');
+    const [editGuestIds, setEditGuestIds] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    const fetchReservations = useCallback(async () => {
+        setLoading(true);
+        try {
+            const response = await authenticatedFetch(`${apiUrl}/reservations`);
+            if (!response) return;
+            const data = await response.json();
+
+            if (data.success) {
+                setReservations(data.reservations);
+            } else {
+                setMessage(`❌ Could not load reservations: ${data.error || 'Unknown error'}`);
+            }
+        } catch (error) {
+            setMessage('❌ Error loading reservations: ' + error.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [apiUrl, authenticatedFetch, setMessage]);
+
+    const fetchGuests = useCallback(async () => {
+        try {
+            const response = await authenticatedFetch(`${apiUrl}/guests`);
+            if (!response) return;
+            const data = await response.json();
+            setGuests(data);
+        } catch (error) {
+            console.error('Error fetching guests:', error);
+        }
+    }, [apiUrl, authenticatedFetch]);
+
+    useEffect(() => {
+        fetchReservations();
+        fetchGuests();
+    }, [fetchReservations, fetchGuests]);
+
+    const startEditing = (reservation) => {
+        setEditingId(reservation.reservationId);
+        setEditTime('');
+        setEditGuestIds(null);
+    };
+
+    // editGuestIds stays null until the players are changed, so only the time is sent
+    const toggleEditGuest = (guestId) => {
+        const selected = editGuestIds || [];
+        if (selected.includes(guestId)) {
+            setEditGuestIds(selected.filter(id => id !== guestId));
+        } else if (selected.length < 3) {
+            setEditGuestIds([...selected, guestId]);
+        }
+    };
+
+    const saveReservation = async (reservation) => {
+        const changes = {};
+        if (editTime.trim()) changes.time = editTime.trim().toUpperCase();
+        if (editGuestIds) changes.guestIds = editGuestIds;
+
+        if (Object.keys(changes).length === 0) {
+            setMessage('❌ Enter a new time or choose players');
+            return;
+        }
+
+        setSaving(true);
+        try {
+            const response = await authenticatedFetch(`${apiUrl}/reservations/${reservation.reservationId}`, {
+                method: 'PATCH',
+                body: JSON.stringify(changes)
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setMessage(`✅ Updated ${reservation.date} reservation`);
+                setEditingId(null);
+                fetchReservations();
+            } else {
+                setMessage(`❌ Change failed: ${data.error || 'Unknown error'}`);
+            }
+        } catch (error) {
+            setMessage('❌ Error changing reservation: ' + error.message);
+        }
+        setSaving(false);
+    };
+
+    const cancelReservation = async (reservation) => {
+        if (!confirm(`Cancel your ${reservation.time || ''} tee time on ${reservation.date || 'this date'} at the club?`)) return;
+
+        setCancellingId(reservation.reservationId);
+        try {
+            const response = await authenticatedFetch(`${apiUrl}/reservations/${reservation.reservationId}`, {
+                method: 'DELETE'
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setMessage(`✅ Cancelled ${reservation.date} at ${reservation.time}`);
+                fetchReservations();
+            } else {
+                setMessage(`❌ Cancel failed: ${data.error || 'Unknown error'}`);
+            }
+        } catch (error) {
+            setMessage('❌ Error cancelling reservation: ' + error.message);
+        }
+        setCancellingId(null);
+    };
+
+    return (
+        <div>
+            <div className="flex items-center justify-between mb-3">
+                <h3 className="font-semibold text-lg">Upcoming Reservations at the Club</h3>
+                <button
+                    onClick={fetchReservations}
+                    disabled={loading}
+                    className="flex items-center gap-2 px-3 py-2 text-sm text-blue-600 hover:bg-blue-50 rounded-md disabled:opacity-50"
+                >
+                    <RefreshCw size={16} className={loading ? 'animate-spin' : ''} />
+                    Refresh
+                </button>
+            </div>
+
+            {loading && reservations.length === 0 ? (
+                <p className="text-gray-500">Loading reservations from the club site...</p>
+            ) : reservations.length === 0 ? (
+                <p className="text-gray-500">No upcoming reservations on the club site.</p>
+            ) : (
+                <div className="space-y-2">
+                    {reservations.map(reservation => (
+                        <div key={reservation.reservationId} className="border rounded-lg p-3">
+                            <div className="flex items-center justify-between">
+                                <div>
+                                    <p className="font-semibold">
+                                        {reservation.date || 'Unknown date'} at {reservation.time || 'unknown time'}
+                                        {reservation.tee && <span className="ml-2 text-xs text-gray-500">{reservation.tee}</span>}
+                                    </p>
+                                    <p className="text-sm text-gray-600">
+                                        Players: {reservation.players.length > 0 ? reservation.players.join(', ') : 'Not listed'}
+                                    </p>
+                                    {reservation.confirmation && (
+                                        <p className="text-xs text-gray-500">Confirmation #{reservation.confirmation}</p>
+                                    )}
+                                </div>
+                                <div className="flex items-center gap-2">
+                                    <button
+                                        onClick={() => startEditing(reservation)}
+                                        className="flex items-center gap-1 px-3 py-2 text-sm text-blue-600 hover:bg-blue-50 rounded-md"
+                                        title="Change Time or Players"
+                                    >
+                                        <Pencil size={16} />
+                                        Change
+                                    </button>
+                                    <button
+                                        onClick={() => cancelReservation(reservation)}
+                                        disabled={cancellingId === reservation.reservationId}
+                                        className="flex items-center gap-1 px-3 py-2 text-sm text-red-600 hover:bg-red-50 rounded-md disabled:opacity-50"
+                                        title="Cancel Reservation"
+                                    >
+                                        <Ban size={16} />
+                                        {cancellingId === reservation.reservationId ? 'Cancelling...' : 'Cancel'}
+                                    </button>
+                                </div>
+                            </div>
+
+                            {editingId === reservation.reservationId && (
+                                <div className="mt-3 p-3 bg-blue-50 rounded-md space-y-2">
+                                    <input
+                                        type="text"
+                                        value={editTime}
+                                        onChange={(e) => setEditTime(e.target.value)}
+                                        className="p-2 border rounded-md w-48"
+                                        placeholder="New time, e.g. 9:20 AM"
+                                    />
+                                    <p className="text-sm">
+                                        Players: You + {editGuestIds ? editGuestIds.length : 'current'} guests
+                                        <span className="text-xs text-gray-500 ml-2">(leave unselected to keep the current players)</span>
+                                    </p>
+                                    <div className="flex flex-wrap gap-2">
+                                        {guests.filter(g => g.is_active).map(guest => {
+                                            const position = (editGuestIds || []).indexOf(guest.id);
+                                            return (
+                                                <button
+                                                    key={guest.id}
+                                                    onClick={() => toggleEditGuest(guest.id)}
+                                                    className={`px-3 py-1 rounded-full text-sm border ${
+                                                        position >= 0
+                                                            ? 'bg-blue-500 text-white border-blue-500'
+                                                            : 'bg-white text-gray-700 hover:bg-gray-50'
+                                                    }`}
+                                                >
+                                                    {position >= 0 && `P${position + 2}: `}{guest.name}
+                                                </button>
+                                            );
+                                        })}
+                                    </div>
+                                    <div className="flex gap-2">
+                                        <button
+                                            onClick={() => saveReservation(reservation)}
+                                            disabled={saving}
+                                            className="flex items-center gap-1 px-3 py-2 text-sm bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:opacity-50"
+                                        >
+                                            <Save size={16} />
+                                            {saving ? 'Saving...' : 'Save Changes'}
+                                        </button>
+                                        <button
+                                            onClick={() => setEditingId(null)}
+                                            className="flex items-center gap-1 px-3 py-2 text-sm text-gray-600 hover:bg-gray-100 rounded-md"
+                                        >
+                                            <X size={16} />
+                                            Close
+                                        </button>
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default Reservations;
@@ -0,0 +1,68 @@
+// src/components/TimeWindows.jsx - Ordered List of Acceptable Time Windows
+import React from 'react';
+import { Plus, Trash2, ArrowUp } from 'lucide-react';
+
+// windows are [{ start: 'HH:MM', end: 'HH:MM' }], tried top to bottom
+const TimeWindows = ({ windows, onChange, firstNumber = 1, maxWindows = 5, newWindow = { start: '12:00', end: '13:00' } }) => {
+    const updateWindow = (index, field, value) => {
+        onChange(windows.map((timeWindow, i) => (i === index ? { ...timeWindow, [field]: value } : timeWindow)));
+    };
+
+    const moveUp = (index) => {
+        const reordered = [...windows];
+        [reordered[index - 1], reordered[index]] = [reordered[index], reordered[index - 1]];
+        onChange(reordered);
+    };
+
+    return (
+        <div className="space-y-2">
+            {windows.map((timeWindow, index) => (
+                <div key={index} className="flex items-center gap-2 text-sm">
+                    <span className="w-6 text-gray-500">#{index + firstNumber}</span>
+                    <input
+                        type="time"
+                        value={timeWindow.start}
+                        onChange={(e) => updateWindow(index, 'start', e.target.value)}
+                        className="p-1 border rounded-md"
+                        title="Window Start"
+                    />
+                    <span>to</span>
+                    <input
+                        type="time"
+                        value={timeWindow.end}
+                        onChange={(e) => updateWindow(index, 'end', e.target.value)}
+                        className="p-1 border rounded-md"
+                        title="Window End"
+                    />
+                    {index > 0 && (
+                        <button
+                            onClick={() => moveUp(index)}
+                            className="p-1 text-gray-600 hover:bg-gray-100 rounded"
+                            title="Try Earlier"
+                        >
+                            <ArrowUp size={16} />
+                        </button>
+                    )}
+                    <button
+                        onClick={() => onChange(windows.filter((_, i) => i !== index))}
+                        className="p-1 text-red-600 hover:bg-red-50 rounded"
+                        title="Remove Window"
+                    >
+                        <Trash2 size={16} />
+                    </button>
+                </div>
+            ))}
+            {windows.length < maxWindows && (
+                <button
+                    onClick={() => onChange([...windows, newWindow])}
+                    className="flex items-center gap-1 text-sm text-blue-600 hover:bg-blue-50 px-2 py-1 rounded"
+                >
+                    <Plus size={16} />
+                    Add time window
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default TimeWindows;
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import BookingWindowPolicy, { isSameTimeZone } from '../bookingWindowPolicy.js';
+
+const policyWith = (overrides = {}) => {
+    const policy = new BookingWindowPolicy(null);
+    policy.policy = { ...policy.policy, ...overrides };
+    return policy;
+};
+
+test('getCronExpression: open time with an offset', () => {
+    const policy = policyWith();
+    assert.equal(policy.getCronExpression('06:30:00'), '0 30 6 * * *');
+    assert.equal(policy.getCronExpression('06:30:00', -120), '0 28 6 * * *');
+    assert.equal(policy.getCronExpression('06:30:00', 15), '15 30 6 * * *');
+});
+
+test('getCronExpression: a span fires every second, capped at the end of the minute', () => {
+    const policy = policyWith();
+    assert.equal(policy.getCronExpression('06:30:00', -5, 10), '55-59 29 6 * * *');
+    assert.equal(policy.getCronExpression('06:30:00', 0, 20), '0-20 30 6 * * *');
+});
+
+test('getCronExpression: offsets wrap around midnight', () => {
+    const policy = policyWith();
+    assert.equal(policy.getCronExpression('00:00:30', -60), '30 59 23 * * *');
+    assert.equal(policy.getCronExpression('23:59:30', 45), '15 0 0 * * *');
+});
+
+test('getOpensAt: lead days and open time before the play date', () => {
+    const opensAt = policyWith().getOpensAt(new Date(2026, 9, 24, 12)); // Saturday
+
+    assert.deepEqual(
+        [opensAt.getFullYear(), opensAt.getMonth(), opensAt.getDate(), opensAt.getHours(), opensAt.getMinutes()],
+        [2026, 9, 17, 6, 30]
+    );
+});
+
+test('getOpensAt: a weekday override replaces only what it sets', () => {
+    const policy = policyWith({ dayOverrides: { 3: { leadDays: 14 }, 6: { openTime: '19:00:00' } } });
+
+    const wednesday = policy.getOpensAt(new Date(2026, 9, 28, 12));
+    assert.deepEqual([wednesday.getMonth(), wednesday.getDate(), wednesday.getHours(), wednesday.getMinutes()], [9, 14, 6, 30]);
+
+    const saturday = policy.getOpensAt(new Date(2026, 9, 24, 12));
+    assert.deepEqual([saturday.getMonth(), saturday.getDate(), saturday.getHours(), saturday.getMinutes()], [9, 17, 19, 0]);
+
+    assert.equal(policy.getMaxLeadDays(), 14);
+    assert.deepEqual(policy.getOpenTimes().sort(), ['06:30:00', '19:00:00']);
+});
+
+test('isSameTimeZone: aliases match, zones with other offsets or DST rules do not', () => {
+    assert.equal(isSameTimeZone('America/New_York', 'US/Eastern'), true);
+    assert.equal(isSameTimeZone('America/New_York', 'America/Chicago'), false);
+    assert.equal(isSameTimeZone('America/Phoenix', 'America/Denver'), false);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import HolidayCalendar from '../holidayCalendar.js';
+
+const formatDate = date =>
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const calendarWith = (customHolidays = []) => new HolidayCalendar({ query: async () => [customHolidays] }, formatDate);
+
+test('floating holidays land on the right weekday', async () => {
+    const holidays = await calendarWith().getHolidays('2026-01-01', '2026-12-31');
+    const dateOf = name => holidays.find(holiday => holiday.name === name)?.date;
+
+    assert.equal(dateOf('Martin Luther King Jr. Day'), '2026-01-19');
+    assert.equal(dateOf('Memorial Day'), '2026-05-25');
+    assert.equal(dateOf('Labor Day'), '2026-09-07');
+    assert.equal(dateOf('Thanksgiving Day'), '2026-11-26');
+});
+
+test('fixed holidays on a weekend are also observed on the nearest weekday', async () => {
+    // July 4th 2026 is a Saturday, Christmas 2027 too
+    const holidays = await calendarWith().getHolidays('2026-07-01', '2027-12-31');
+    const dates = holidays.map(holiday => holiday.date);
+
+    assert.ok(dates.includes('2026-07-04'));
+    assert.ok(dates.includes('2026-07-03'));
+    assert.ok(dates.includes('2027-12-24'));
+});
+
+test('New Year\'s Day observed on December 31st of the year before', async () => {
+    // January 1st 2028 is a Saturday
+    const holidays = await calendarWith().getHolidays('2027-12-27', '2027-12-31');
+
+    assert.deepEqual(holidays.map(holiday => [holiday.date, holiday.name]), [['2027-12-31', "New Year's Day (observed)"]]);
+});
+
+test('custom holidays are included and win on the same date', async () => {
+    const calendar = calendarWith([
+        { id: 1, date: '2026-11-27', name: 'Day after Thanksgiving' },
+        { id: 2, date: '2026-11-26', name: 'Club Thanksgiving' }
+    ]);
+    const holidays = await calendar.getHolidays('2026-11-26', '2026-11-27');
+
+    assert.deepEqual(holidays.map(holiday => [holiday.date, holiday.name, holiday.source]), [
+        ['2026-11-26', 'Club Thanksgiving', 'custom'],
+        ['2026-11-27', 'Day after Thanksgiving', 'custom']
+    ]);
+    assert.equal((await calendar.getHoliday(new Date(2026, 10, 28, 12))), null);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import GolfBookingService from '../bookingService.js';
+
+// Not the club's zone: the notice has to be read on the club's clock regardless
+process.env.TZ = 'Asia/Tokyo';
+
+const service = new GolfBookingService();
+const now = Date.parse('2026-10-17T10:20:00Z'); // 6:20 AM at the club (EDT)
+
+test('countdown in HH:MM:SS, with and without days', () => {
+    assert.equal(service.parseOpeningTime('', '00:10:00', now).getTime(), now + 10 * 60 * 1000);
+    assert.equal(service.parseOpeningTime('', '2 days 14:32:10', now).getTime(),
+        now + ((2 * 24 + 14) * 3600 + 32 * 60 + 10) * 1000);
+});
+
+test('countdown in units', () => {
+    assert.equal(service.parseOpeningTime('', '1d 5h 12m 30s', now).getTime(),
+        now + (86400 + 5 * 3600 + 12 * 60 + 30) * 1000);
+    assert.equal(service.parseOpeningTime('', '9 minutes 5 seconds', now).getTime(), now + (9 * 60 + 5) * 1000);
+});
+
+test('falls back to the date in the notice, on the club\'s clock', () => {
+    const summer = service.parseOpeningTime('Tee times will be available on Saturday, October 24, 2026 at 6:30 AM', '', now);
+    assert.equal(summer.toISOString(), '2026-10-24T10:30:00.000Z');
+
+    const winter = service.parseOpeningTime('Tee times will be available on Saturday, January 9, 2027 at 7:00 AM', '', now);
+    assert.equal(winter.toISOString(), '2027-01-09T12:00:00.000Z');
+});
+
+test('countdown and notice give the same instant for the same opening', () => {
+    const fromCountdown = service.parseOpeningTime('', '00:10:00', now);
+    const fromNotice = service.parseOpeningTime('Tee times will be available on Saturday, October 17, 2026 at 6:30 AM', '', now);
+
+    assert.equal(fromNotice.getTime(), fromCountdown.getTime());
+});
+
+test('null when neither text can be read', () => {
+    assert.equal(service.parseOpeningTime('Not open yet', '', now), null);
+    assert.equal(service.parseOpeningTime(undefined, undefined, now), null);
+});
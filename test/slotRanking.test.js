@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SlotRanker, { RANKING_STRATEGIES } from '../slotRanking.js';
+
+const toMinutes = time => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+const ranker = new SlotRanker(toMinutes);
+const times = slots => slots.map(slot => slot.time);
+
+const slots = [
+    { time: '7:30', availableSpots: 2, tee: '10th TEE' }, // before the range
+    { time: '8:00', availableSpots: 2, tee: '10th TEE' },
+    { time: '8:20', availableSpots: 4, tee: '10th TEE' },
+    { time: '8:40', availableSpots: 3, tee: '1st TEE' },
+    { time: '9:30', availableSpots: 4, tee: '1st TEE' } // after the range
+];
+const range = { preferredTimeMin: toMinutes('8:00'), maxTimeMin: toMinutes('9:00') };
+
+test('only slots inside the range are ranked', () => {
+    assert.deepEqual(times(ranker.rank(slots, range)).sort(), ['8:00', '8:20', '8:40']);
+});
+
+test('most_spots: fullest slot first, then earliest', () => {
+    assert.deepEqual(times(ranker.rank(slots, { ...range, strategy: 'most_spots' })), ['8:20', '8:40', '8:00']);
+});
+
+test('earliest: first slot in range', () => {
+    assert.deepEqual(times(ranker.rank(slots, { ...range, strategy: 'earliest' })), ['8:00', '8:20', '8:40']);
+});
+
+test('closest: distance from the preferred time on either side', () => {
+    // A later window (8:00-9:00) searched for a booking that prefers 8:35
+    const ranked = ranker.rank(slots, { ...range, targetTimeMin: toMinutes('8:35'), strategy: 'closest' });
+    assert.deepEqual(times(ranked), ['8:40', '8:20', '8:00']);
+});
+
+test('closest: open spots break a tie in distance', () => {
+    const tied = [
+        { time: '8:00', availableSpots: 2, tee: '1st TEE' },
+        { time: '8:20', availableSpots: 4, tee: '1st TEE' }
+    ];
+    const ranked = ranker.rank(tied, { ...range, targetTimeMin: toMinutes('8:10'), strategy: 'closest' });
+    assert.deepEqual(times(ranked), ['8:20', '8:00']);
+});
+
+test('prefer_first adds the tee bonus', () => {
+    const ranked = ranker.rank(slots, { ...range, strategy: 'most_spots', teePreference: 'prefer_first', weights: { spots: 0 } });
+    assert.equal(ranked[0].time, '8:40');
+});
+
+test('weight overrides replace only the weights they set', () => {
+    assert.deepEqual(ranker.getWeights('closest', { tee: 50 }), { ...RANKING_STRATEGIES.closest, tee: 50 });
+    assert.deepEqual(ranker.getWeights('unknown'), RANKING_STRATEGIES.most_spots);
+});
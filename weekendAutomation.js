@@ -1,20 +1,28 @@
 // weekendAutomation.js - Enhanced Weekend Auto-Booking Module with Catch-Up
 import GolfBookingService from './bookingService.js';
+import HolidayCalendar from './holidayCalendar.js';
+import { parseJsonColumn, parseJsonColumns } from './jsonColumns.js';
+
+// Used until these are saved in weekend_auto_settings
+const DEFAULT_WEEKEND_TIME_WINDOWS = [{ start: '07:50:00', end: '14:30:00' }];
+const DEFAULT_MAX_WEEKEND_BOOKINGS = 4;
+const DEFAULT_WEEKEND_PARTY_SIZE = 4;
 
 class WeekendAutomation {
-    constructor(pool) {
+    // bookingWindow: the shared BookingWindowPolicy (bookingWindowPolicy.js)
+    constructor(pool, bookingWindow) {
         this.pool = pool;
         this.bookingService = new GolfBookingService();
-        this.timeZone = 'America/New_York'; // Always EDT/EST
+        this.holidayCalendar = new HolidayCalendar(pool, date => this.formatDate(date));
+        this.bookingWindow = bookingWindow;
         this.isBookingInProgress = false;
         this.bookingAttempts = new Map(); // Track attempts per date
-        this.maxWeekendBookings = 4; // Maximum weekends to have booked
         this.catchUpInProgress = false;
     }
 
-    // Get current time in EDT
+    // Get current time in the club's time zone (EDT/EST unless the booking window policy says otherwise)
     getCurrentEDT() {
-        return new Date(new Date().toLocaleString("en-US", { timeZone: this.timeZone }));
+        return this.bookingWindow.now();
     }
 
     // Format date for database (YYYY-MM-DD)
@@ -25,37 +33,9 @@ class WeekendAutomation {
         return `${year}-${month}-${day}`;
     }
 
-    // Get the target weekend date (7 days from today)
-    getTargetWeekendDate() {
-        const now = this.getCurrentEDT();
-        const targetDate = new Date(now);
-        targetDate.setDate(targetDate.getDate() + 7);
-        return targetDate;
-    }
-
     // Check if booking window is open for a date
     isBookingWindowOpen(targetDate) {
-        const now = this.getCurrentEDT();
-        const bookingOpens = new Date(targetDate);
-        bookingOpens.setDate(bookingOpens.getDate() - 7);
-        bookingOpens.setHours(6, 30, 0, 0);
-
-        return now >= bookingOpens;
-    }
-
-    // Check if current time is the optimal booking window (6:30 AM)
-    isOptimalBookingTime() {
-        const now = this.getCurrentEDT();
-        const hours = now.getHours();
-        const minutes = now.getMinutes();
-        const seconds = now.getSeconds();
-
-        // Between 6:29:50 and 6:30:30
-        const currentTimeInSeconds = hours * 3600 + minutes * 60 + seconds;
-        const startWindow = 6 * 3600 + 29 * 60 + 50;
-        const endWindow = 6 * 3600 + 30 * 60 + 30;
-
-        return currentTimeInSeconds >= startWindow && currentTimeInSeconds <= endWindow;
+        return this.bookingWindow.isOpen(targetDate);
     }
 
     // Check if weekend auto-booking is enabled
@@ -71,7 +51,159 @@ class WeekendAutomation {
         }
     }
 
+    // Get weekend auto-booking settings row (empty object if none yet)
+    async getSettings() {
+        try {
+            const [settings] = await this.pool.query(
+                'SELECT * FROM weekend_auto_settings WHERE user_id = 1'
+            );
+            return parseJsonColumns(settings[0]) || {};
+        } catch (error) {
+            console.error('Error loading weekend settings:', error);
+            return {};
+        }
+    }
+
+    // Ordered time windows to search on a weekend day
+    // Sundays use sunday_time_windows when set, otherwise the Saturday windows (time_windows)
+    getTimeWindows(settings, targetDate = null) {
+        const sundayWindows = parseJsonColumn(settings?.sunday_time_windows);
+        if (targetDate?.getDay() === 0 && sundayWindows?.length) {
+            return sundayWindows;
+        }
+        const windows = parseJsonColumn(settings?.time_windows);
+        return windows?.length ? windows : DEFAULT_WEEKEND_TIME_WINDOWS;
+    }
+
+    // Saturdays and Sundays can be switched off separately (both on by default)
+    // dayOfWeek as from Date.getDay() (6 = Saturday, 0 = Sunday)
+    isDayEnabled(settings, dayOfWeek) {
+        const flag = dayOfWeek === 6 ? settings?.saturday_enabled : settings?.sunday_enabled;
+        return flag === undefined || flag === null || !!flag;
+    }
+
+    // Holidays (holidayCalendar.js) are booked like weekend days only when switched on
+    isHolidaysEnabled(settings) {
+        return !!settings?.holidays_enabled;
+    }
+
+    // Alternate-day fallback: see getFallbackFor
+    isFallbackEnabled(settings) {
+        return !!settings?.fallback_enabled;
+    }
+
+    // Why weekend automation books a date, or null if it doesn't
+    // Returns { reason: 'weekend' | 'holiday' | 'fallback', holiday, fallbackFor }
+    async getBookingReason(settings, targetDate) {
+        const dayOfWeek = targetDate.getDay();
+        const holiday = await this.holidayCalendar.getHoliday(targetDate);
+
+        if ((dayOfWeek === 6 || dayOfWeek === 0) && this.isDayEnabled(settings, dayOfWeek)) {
+            return { reason: 'weekend', holiday };
+        }
+        if (holiday && this.isHolidaysEnabled(settings)) {
+            return { reason: 'holiday', holiday };
+        }
+
+        const fallbackFor = await this.getFallbackFor(settings, targetDate);
+        return fallbackFor ? { reason: 'fallback', holiday, fallbackFor } : null;
+    }
+
+    // Saturday, Sunday and any Friday/Monday holiday around a date's weekend (empty midweek)
+    async getLongWeekendDates(targetDate) {
+        const offsetToSaturday = { 5: 1, 6: 0, 0: -1, 1: -2 }[targetDate.getDay()];
+        if (offsetToSaturday === undefined) return [];
+
+        const friday = new Date(targetDate);
+        friday.setDate(friday.getDate() + offsetToSaturday - 1);
+        friday.setHours(12, 0, 0, 0);
+
+        const days = [0, 1, 2, 3].map(i => {
+            const date = new Date(friday);
+            date.setDate(date.getDate() + i);
+            return date;
+        });
+
+        const holidays = await this.holidayCalendar.getHolidays(this.formatDate(days[0]), this.formatDate(days[3]));
+        const holidayKeys = holidays.map(holiday => holiday.date);
+
+        return days.filter(date => date.getDay() === 6 || date.getDay() === 0 || holidayKeys.includes(this.formatDate(date)));
+    }
+
+    // Is anything booked (or about to be) on the long weekend around a date?
+    // Failed and watching entries don't count, so they don't block the fallback
+    async hasLongWeekendBooking(targetDate) {
+        const days = await this.getLongWeekendDates(targetDate);
+        if (days.length === 0) return false;
+
+        const [result] = await this.pool.query(
+            `SELECT COUNT(*) AS count FROM booking_preferences
+             WHERE user_id = 1 AND date IN (?) AND status IN ('booked', 'pending')`,
+            [days.map(date => this.formatDate(date))]
+        );
+        return result[0].count > 0;
+    }
+
+    // With fallback on, a weekend day or holiday automation would otherwise skip is booked instead
+    // when an automated day of the same long weekend came back no_slots and nothing there is booked.
+    // Returns the no_slots date (YYYY-MM-DD), or null
+    async getFallbackFor(settings, targetDate) {
+        if (!this.isFallbackEnabled(settings)) return null;
+
+        // Every weekday in a long weekend is a holiday
+        const isAutomated = date => (date.getDay() === 6 || date.getDay() === 0)
+            ? this.isDayEnabled(settings, date.getDay())
+            : this.isHolidaysEnabled(settings);
+
+        const days = await this.getLongWeekendDates(targetDate);
+        const targetKey = this.formatDate(targetDate);
+        const target = days.find(date => this.formatDate(date) === targetKey);
+        if (!target || isAutomated(target)) return null;
+        if (await this.hasLongWeekendBooking(targetDate)) return null;
+
+        for (const date of days) {
+            if (isAutomated(date) && await this.hasFailedAttempt(date)) {
+                return this.formatDate(date);
+            }
+        }
+
+        return null;
+    }
+
+    getMaxWeekendBookings(settings) {
+        return settings?.max_booked_weekends || DEFAULT_MAX_WEEKEND_BOOKINGS;
+    }
+
+    getPartySize(settings) {
+        return settings?.party_size || DEFAULT_WEEKEND_PARTY_SIZE;
+    }
+
+    // Blackout dates and ranges (vacation holds) that automation must not book
+    // Single dates are stored with start_date = end_date. A load error is thrown, not swallowed:
+    // the caller's run is skipped and logged rather than booking a date that may be blacked out
+    async getBlackouts() {
+        const [blackouts] = await this.pool.query(
+            `SELECT id, DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date,
+                    DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date, reason
+             FROM blackout_dates
+             WHERE user_id = 1 AND end_date >= CURDATE()
+             ORDER BY start_date ASC`
+        );
+        return blackouts;
+    }
+
+    // The blackout covering a date, or null
+    findBlackout(targetDate, blackouts) {
+        const dateKey = this.formatDate(targetDate);
+        return blackouts.find(blackout => blackout.start_date <= dateKey && dateKey <= blackout.end_date) || null;
+    }
+
+    describeBlackout(blackout) {
+        return blackout.reason ? `Skipped – blackout (${blackout.reason})` : 'Skipped – blackout';
+    }
+
     // Get count of currently booked weekends
+    // Only weekend automation's own bookings count toward its cap, not recurring rules or manual ones
     async getBookedWeekendCount() {
         try {
             const [result] = await this.pool.query(
@@ -80,6 +212,7 @@ class WeekendAutomation {
                  WHERE user_id = 1 
                  AND date >= CURDATE() 
                  AND DAYOFWEEK(date) IN (1, 7)
+                 AND booking_type = 'weekend_auto'
                  AND status IN ('booked', 'pending')`
             );
             return result[0].count || 0;
@@ -109,6 +242,7 @@ class WeekendAutomation {
     }
 
     // Check if we already have a booking for this date
+    // Any row counts, cancelled ones too: a reservation cancelled on the club site isn't rebooked
     async hasExistingBooking(targetDate) {
         try {
             const dateStr = this.formatDate(targetDate);
@@ -158,25 +292,26 @@ class WeekendAutomation {
         }
     }
 
-    // Log weekend booking attempt
-    async logWeekendAttempt(targetDate, status, message, bookedTime = null) {
+    // Log a weekend or recurring booking attempt
+    async logWeekendAttempt(targetDate, status, message, bookedTime = null, ruleId = null) {
         try {
-            const dayName = targetDate.getDay() === 6 ? 'Saturday' : 'Sunday';
+            const dayName = targetDate.toLocaleDateString('en-US', { weekday: 'long' });
 
             await this.pool.query(
                 `INSERT INTO weekend_booking_history 
                 (target_date, day_of_week, booking_opened_at, attempt_started_at, 
-                 attempt_ended_at, status, booked_time, attempts, error_message) 
-                VALUES (?, ?, ?, ?, NOW(), ?, ?, ?, ?)`,
+                 attempt_ended_at, status, booked_time, attempts, error_message, recurring_rule_id) 
+                VALUES (?, ?, ?, ?, NOW(), ?, ?, ?, ?, ?)`,
                 [
                     this.formatDate(targetDate),
                     dayName,
-                    new Date(targetDate.getTime() - 7 * 24 * 60 * 60 * 1000),
+                    this.bookingWindow.getOpensAt(targetDate),
                     new Date(),
                     status,
                     bookedTime,
                     this.bookingAttempts.get(this.formatDate(targetDate)) || 1,
-                    message
+                    message,
+                    ruleId
                 ]
             );
         } catch (error) {
@@ -184,8 +319,87 @@ class WeekendAutomation {
         }
     }
 
-    // Execute booking for a specific weekend
+    // Players for an automated booking: the plan's chosen guests, else the top of the guest list
+    async getPlanGuests(plan) {
+        if (plan.guestIds?.length) {
+            const [guests] = await this.pool.query(
+                'SELECT * FROM guest_list WHERE id IN (?) ORDER BY FIELD(id, ?)',
+                [plan.guestIds, plan.guestIds]
+            );
+            return guests;
+        }
+
+        const [guests] = await this.pool.query(
+            'SELECT * FROM guest_list WHERE is_active = 1 ORDER BY sort_order ASC, id ASC LIMIT ?',
+            [plan.partySize - 1]
+        );
+        return guests;
+    }
+
+    // Execute booking for a weekend day, holiday or fallback day
     async executeWeekendBooking(targetDate, mode = 'real-time') {
+        const settings = await this.getSettings();
+        const targetDayName = targetDate.toLocaleDateString('en-US', { weekday: 'long' });
+        const booking = await this.getBookingReason(settings, targetDate);
+
+        if (!booking) {
+            console.log(`🚫 ${targetDayName} ${this.formatDate(targetDate)} is not an auto-booking day`);
+            return null;
+        }
+
+        let label = targetDayName;
+        if (booking.reason === 'holiday') {
+            label = `${booking.holiday.name} (${targetDayName})`;
+        } else if (booking.reason === 'fallback') {
+            label = `${targetDayName} (fallback for ${booking.fallbackFor})`;
+        }
+
+        const result = await this.bookDate(targetDate, mode, {
+            label,
+            bookingType: 'weekend_auto',
+            partySize: this.getPartySize(settings),
+            roundLength: settings.round_length || 18,
+            comments: settings.comments || '',
+            notes: settings.notes || '',
+            timeWindows: this.getTimeWindows(settings, targetDate)
+        });
+
+        if (result?.success && (targetDate.getDay() === 6 || targetDate.getDay() === 0)) {
+            // Update weekend settings
+            const updateField = targetDate.getDay() === 6 ? 'last_saturday_booked' : 'last_sunday_booked';
+            await this.pool.query(
+                `UPDATE weekend_auto_settings SET ${updateField} = ? WHERE user_id = 1`,
+                [this.formatDate(targetDate)]
+            );
+        }
+
+        // No luck: try a fallback day of the same long weekend whose window is already open
+        // (one opening later is picked up by its own real-time run)
+        if (!result?.success && booking.reason !== 'fallback' && mode !== 'watch' && this.isFallbackEnabled(settings)) {
+            return await this.executeFallbackBooking(settings, targetDate, mode) || result;
+        }
+
+        return result;
+    }
+
+    async executeFallbackBooking(settings, targetDate, mode) {
+        for (const date of await this.getLongWeekendDates(targetDate)) {
+            if (!this.isBookingWindowOpen(date)) continue;
+
+            const fallbackFor = await this.getFallbackFor(settings, date);
+            if (!fallbackFor) continue;
+
+            console.log(`↪️ ${fallbackFor} had no slots, falling back to ${this.formatDate(date)}`);
+            const result = await this.executeWeekendBooking(date, mode);
+            if (result?.success) return result;
+        }
+
+        return null;
+    }
+
+    // Book one date for an automation - the weekend settings or a recurring rule (recurringAutomation.js)
+    // plan: { label, bookingType, partySize, roundLength, comments, notes, timeWindows, guestIds?, ruleId? }
+    async bookDate(targetDate, mode, plan) {
         if (this.isBookingInProgress) {
             console.log('⏳ Booking already in progress, skipping...');
             return null;
@@ -195,20 +409,27 @@ class WeekendAutomation {
             this.isBookingInProgress = true;
 
             const targetDateStr = this.formatDate(targetDate);
-            const targetDayName = targetDate.getDay() === 6 ? 'Saturday' : 'Sunday';
+            const ruleId = plan.ruleId || null;
 
-            console.log(`🎯 [${mode}] Attempting to book ${targetDayName} ${targetDateStr}`);
+            console.log(`🎯 [${mode}] Attempting to book ${plan.label} ${targetDateStr}`);
+
+            // Never book a blacked-out date, whichever automation asked
+            const blackout = this.findBlackout(targetDate, await this.getBlackouts());
+            if (blackout) {
+                console.log(`🏖️ ${plan.label} ${targetDateStr}: ${this.describeBlackout(blackout)}`);
+                return null;
+            }
 
             // Check if already booked
             if (await this.hasExistingBooking(targetDate)) {
-                console.log(`✓ ${targetDayName} ${targetDateStr} already has a booking`);
-                await this.logWeekendAttempt(targetDate, 'already_booked', 'Booking already exists');
+                console.log(`✓ ${plan.label} ${targetDateStr} already has a booking`);
+                await this.logWeekendAttempt(targetDate, 'already_booked', 'Booking already exists', null, ruleId);
                 return null;
             }
 
-            // Check if we already tried and found no slots
+            // Check if we already tried and found no slots (the cancellation watcher takes over)
             if (mode === 'catch-up' && await this.hasFailedAttempt(targetDate)) {
-                console.log(`⏭️ ${targetDayName} ${targetDateStr} already attempted (no slots), skipping`);
+                console.log(`⏭️ ${plan.label} ${targetDateStr} already attempted (no slots), skipping`);
                 return null;
             }
 
@@ -217,7 +438,7 @@ class WeekendAutomation {
 
             if (!userSettings[0]?.username) {
                 console.log('❌ No credentials configured');
-                await this.logWeekendAttempt(targetDate, 'failed', 'No credentials configured');
+                await this.logWeekendAttempt(targetDate, 'failed', 'No credentials configured', null, ruleId);
                 return null;
             }
 
@@ -230,83 +451,92 @@ class WeekendAutomation {
 
                 if (!authResult.success) {
                     console.log('❌ Authentication failed');
-                    await this.logWeekendAttempt(targetDate, 'failed', 'Authentication failed');
+                    await this.logWeekendAttempt(targetDate, 'failed', 'Authentication failed', null, ruleId);
                     return null;
                 }
             }
 
             // Get guests
-            const [guests] = await this.pool.query('SELECT * FROM guest_list WHERE is_active = 1 LIMIT 3');
+            const { partySize, roundLength, comments, notes, timeWindows } = plan;
+            const guests = await this.getPlanGuests(plan);
 
-            if (guests.length < 3) {
+            if (guests.length < partySize - 1) {
                 console.log('❌ Not enough guests configured');
-                await this.logWeekendAttempt(targetDate, 'failed', 'Not enough guests');
+                await this.logWeekendAttempt(targetDate, 'failed', 'Not enough guests', null, ruleId);
                 return null;
             }
 
-            console.log(`⛳ Attempting to book ${targetDayName} ${targetDateStr} between 7:50 AM - 2:30 PM`);
+            const windowsText = this.bookingService.describeTimeWindows(timeWindows);
+
+            console.log(`⛳ Attempting to book ${plan.label} ${targetDateStr} in ${windowsText} (${partySize} players, ${roundLength} holes)`);
 
-            // Try to book with fixed weekend time range
+            // Try each time window in order
             const result = await this.bookingService.findAndBookBestSlot(
                 targetDate,
-                '07:50:00',
-                '14:30:00',
+                timeWindows[0].start,
+                timeWindows[0].end,
                 guests,
-                true  // ⚡ FAST MODE ENABLED FOR WEEKEND BOOKING
+                true,  // ⚡ FAST MODE ENABLED FOR AUTOMATED BOOKING
+                { partySize, roundLength, comments, notes, timeWindows }
             );
 
             if (result.success) {
-                console.log(`✅ Successfully booked ${targetDayName} ${targetDateStr} at ${result.slot?.time || 'unknown time'}`);
+                console.log(`✅ Successfully booked ${plan.label} ${targetDateStr} at ${result.slot?.time || 'unknown time'}`);
 
                 // Save to database
-                const opensAt = new Date(targetDate);
-                opensAt.setDate(opensAt.getDate() - 7);
-                opensAt.setHours(6, 30, 0, 0);
+                const opensAt = this.bookingWindow.getOpensAt(targetDate);
 
                 await this.pool.query(
                     `INSERT INTO booking_preferences 
-                    (user_id, date, preferred_time, max_time, booking_opens_at, status, booking_type, attempts, last_attempt) 
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+                    (user_id, date, preferred_time, max_time, party_size, round_length, comments, notes, booked_time, booked_tee, booked_spots,
+                     booking_opens_at, status, booking_type, recurring_rule_id, attempts, last_attempt) 
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
                     [
                         1,
                         targetDateStr,
-                        '07:50:00',
-                        '14:30:00',
+                        timeWindows[0].start,
+                        timeWindows[0].end,
+                        partySize,
+                        roundLength,
+                        comments || null,
+                        notes || null,
+                        result.slot?.time ? this.bookingService.minutesToTime(this.bookingService.timeToMinutes(result.slot.time)) : null,
+                        result.slot?.tee || null,
+                        result.slot?.availableSpots ?? null,
                         opensAt,
                         'booked',
-                        'weekend_auto',
+                        plan.bookingType,
+                        ruleId,
                         1
                     ]
                 );
 
-                // Update weekend settings
-                const updateField = targetDate.getDay() === 6 ? 'last_saturday_booked' : 'last_sunday_booked';
-                await this.pool.query(
-                    `UPDATE weekend_auto_settings SET ${updateField} = ? WHERE user_id = 1`,
-                    [targetDateStr]
-                );
-
-                await this.logWeekendAttempt(targetDate, 'success', 'Booking successful', result.slot?.time);
+                const lostNote = result.lostSlots?.length
+                    ? ` (lost race for ${result.lostSlots.map(slot => slot.time).join(', ')})`
+                    : '';
+                await this.logWeekendAttempt(targetDate, 'success', `Booking successful${lostNote}`, result.slot?.time, ruleId);
 
                 return result;
             } else {
                 const errorMsg = result.message || result.error || 'Unknown error';
-                console.log(`❌ Failed to book ${targetDayName}: ${errorMsg}`);
+                console.log(`❌ Failed to book ${plan.label}: ${errorMsg}`);
 
                 if (errorMsg.includes('No available slots')) {
-                    console.log('😞 No slots available in preferred time range (7:50 AM - 2:30 PM)');
-                    await this.logWeekendAttempt(targetDate, 'no_slots', 'No slots in 7:50 AM - 2:30 PM range');
+                    console.log(`😞 No slots available in preferred time windows (${windowsText})`);
+                    await this.logWeekendAttempt(targetDate, 'no_slots', mode === 'watch'
+                        ? `Cancellation watch: still no slots in ${windowsText}`
+                        : `No slots in ${windowsText}`, null, ruleId);
                 } else if (errorMsg.includes('not open') || errorMsg.includes('countdown')) {
                     console.log('⏰ Slots not open yet');
-                    await this.logWeekendAttempt(targetDate, 'failed', 'Booking window not open yet');
+                    await this.logWeekendAttempt(targetDate, 'failed', 'Booking window not open yet', null, ruleId);
                 } else {
-                    await this.logWeekendAttempt(targetDate, 'failed', errorMsg);
+                    await this.logWeekendAttempt(targetDate, 'failed', errorMsg, null, ruleId);
                 }
 
                 return null;
             }
         } catch (error) {
-            console.error('❌ Weekend booking error:', error);
+            console.error(`❌ ${plan.label} booking error:`, error);
             return null;
         } finally {
             this.isBookingInProgress = false;
@@ -331,53 +561,40 @@ class WeekendAutomation {
 
             console.log('🔄 Starting weekend catch-up check...');
 
-            // Check how many weekends we already have booked
-            const bookedCount = await this.getBookedWeekendCount();
-            if (bookedCount >= this.maxWeekendBookings) {
-                console.log(`📊 Already have ${bookedCount}/${this.maxWeekendBookings} weekends booked, skipping catch-up`);
-                return;
+            // Check how many weekends we already have booked (holidays don't count toward the limit)
+            const settings = await this.getSettings();
+            const maxBookings = this.getMaxWeekendBookings(settings);
+            let bookedCount = await this.getBookedWeekendCount();
+            if (bookedCount >= maxBookings) {
+                console.log(`📊 Already have ${bookedCount}/${maxBookings} weekends booked, only holidays are checked`);
             }
 
-            // Get next 6 weekends
-            const weekends = await this.getNext6Weekends();
+            // Weekend days and holidays of the next 6 weekends
+            const days = await this.getAutomationDays();
+            const blackouts = await this.getBlackouts();
             let bookingsMade = 0;
-            const availableSlots = this.maxWeekendBookings - bookedCount;
 
-            for (const weekend of weekends) {
-                if (bookingsMade >= availableSlots) {
-                    console.log(`📊 Reached booking limit (${this.maxWeekendBookings} weekends)`);
-                    break;
-                }
+            for (const day of days) {
+                const isWeekendDay = day.dateObj.getDay() === 6 || day.dateObj.getDay() === 0;
+                if (isWeekendDay && bookedCount >= maxBookings) continue;
 
-                // Check Saturday
-                if (this.isBookingWindowOpen(weekend.saturday.dateObj) && !weekend.saturday.isBooked) {
-                    if (!await this.hasFailedAttempt(weekend.saturday.dateObj)) {
-                        console.log(`📅 Catch-up: Booking window open for Saturday ${weekend.saturday.date}`);
-                        const result = await this.executeWeekendBooking(weekend.saturday.dateObj, 'catch-up');
-                        if (result?.success) bookingsMade++;
+                if (day.isBooked || !day.bookingOpen || this.findBlackout(day.dateObj, blackouts)) continue;
+                if (await this.hasFailedAttempt(day.dateObj)) continue;
+                if (!await this.getBookingReason(settings, day.dateObj)) continue;
 
-                        // Small delay between bookings
-                        await new Promise(resolve => setTimeout(resolve, 5000));
-                    }
+                console.log(`📅 Catch-up: Booking window open for ${day.label} ${day.date}`);
+                const result = await this.executeWeekendBooking(day.dateObj, 'catch-up');
+                if (result?.success) {
+                    bookingsMade++;
+                    if (isWeekendDay) bookedCount++;
                 }
 
-                if (bookingsMade >= availableSlots) break;
-
-                // Check Sunday
-                if (this.isBookingWindowOpen(weekend.sunday.dateObj) && !weekend.sunday.isBooked) {
-                    if (!await this.hasFailedAttempt(weekend.sunday.dateObj)) {
-                        console.log(`📅 Catch-up: Booking window open for Sunday ${weekend.sunday.date}`);
-                        const result = await this.executeWeekendBooking(weekend.sunday.dateObj, 'catch-up');
-                        if (result?.success) bookingsMade++;
-
-                        // Small delay between bookings
-                        await new Promise(resolve => setTimeout(resolve, 5000));
-                    }
-                }
+                // Small delay between bookings
+                await new Promise(resolve => setTimeout(resolve, 5000));
             }
 
             if (bookingsMade > 0) {
-                console.log(`✅ Catch-up complete: ${bookingsMade} weekend(s) booked`);
+                console.log(`✅ Catch-up complete: ${bookingsMade} day(s) booked`);
             } else {
                 console.log('📊 Catch-up complete: No new bookings made');
             }
@@ -389,35 +606,70 @@ class WeekendAutomation {
     }
 
     // Real-time booking: Book exactly when window opens
-    async executeRealTimeBooking() {
-        const now = this.getCurrentEDT();
-        const dayOfWeek = now.getDay();
+    // targetDate: a play date whose booking opens now (BookingWindowPolicy.getDatesOpeningToday)
+    async executeRealTimeBooking(targetDate) {
+        const settings = await this.getSettings();
+        const dayOfWeek = targetDate.getDay();
 
-        // Only run on Saturday (6) or Sunday (0)
-        if (dayOfWeek !== 6 && dayOfWeek !== 0) {
+        // Only weekend days, holidays and fallback days
+        if (!await this.getBookingReason(settings, targetDate)) {
             return;
         }
 
         // Check if enabled
-        if (!await this.isEnabled()) {
+        if (!settings.is_enabled) {
             console.log('🚫 Weekend auto-booking is disabled');
             return;
         }
 
-        // Check booking limit
-        const bookedCount = await this.getBookedWeekendCount();
-        if (bookedCount >= this.maxWeekendBookings) {
-            console.log(`📊 Already have ${bookedCount}/${this.maxWeekendBookings} weekends booked`);
-            return;
+        // Check booking limit (holidays don't count toward it)
+        if (dayOfWeek === 6 || dayOfWeek === 0) {
+            const maxBookings = this.getMaxWeekendBookings(settings);
+            const bookedCount = await this.getBookedWeekendCount();
+            if (bookedCount >= maxBookings) {
+                console.log(`📊 Already have ${bookedCount}/${maxBookings} weekends booked`);
+                return;
+            }
         }
 
-        // Get target date (7 days ahead)
-        const targetDate = this.getTargetWeekendDate();
-
         console.log('🎯 Real-time weekend booking window detected');
         await this.executeWeekendBooking(targetDate, 'real-time');
     }
 
+    // Saturdays, Sundays and weekday holidays of the next 6 weekends, in date order
+    async getAutomationDays() {
+        const weekends = await this.getNext6Weekends();
+        const days = weekends.flatMap(weekend => [
+            { ...weekend.saturday, label: 'Saturday' },
+            { ...weekend.sunday, label: 'Sunday' }
+        ]);
+
+        const tomorrow = this.getCurrentEDT();
+        tomorrow.setDate(tomorrow.getDate() + 1);
+        const holidays = await this.holidayCalendar.getHolidays(this.formatDate(tomorrow), days[days.length - 1].date);
+
+        for (const holiday of holidays) {
+            const dateObj = new Date(holiday.date + 'T12:00:00');
+            if (dateObj.getDay() === 6 || dateObj.getDay() === 0) continue;
+
+            const [booking] = await this.pool.query(
+                'SELECT status FROM booking_preferences WHERE date = ?',
+                [holiday.date]
+            );
+
+            days.push({
+                date: holiday.date,
+                dateObj,
+                isBooked: booking.length > 0,
+                bookingOpen: this.isBookingWindowOpen(dateObj),
+                label: holiday.name,
+                holiday
+            });
+        }
+
+        return days.sort((a, b) => a.date.localeCompare(b.date));
+    }
+
     // Get next 6 weekends with their booking status
     async getNext6Weekends() {
         const weekends = [];
@@ -447,13 +699,8 @@ class WeekendAutomation {
             );
 
             // Calculate when bookings open
-            const saturdayOpens = new Date(saturday);
-            saturdayOpens.setDate(saturdayOpens.getDate() - 7);
-            saturdayOpens.setHours(6, 30, 0, 0);
-
-            const sundayOpens = new Date(sunday);
-            sundayOpens.setDate(sundayOpens.getDate() - 7);
-            sundayOpens.setHours(6, 30, 0, 0);
+            const saturdayOpens = this.bookingWindow.getOpensAt(saturday);
+            const sundayOpens = this.bookingWindow.getOpensAt(sunday);
 
             weekends.push({
                 saturday: {
@@ -484,6 +731,7 @@ class WeekendAutomation {
     async getUpcomingWeekends() {
         const weekends = [];
         const now = this.getCurrentEDT();
+        const blackouts = await this.getBlackouts();
 
         // Calculate next 4 weekends (for UI display)
         for (let i = 0; i < 4; i++) {
@@ -528,16 +776,20 @@ class WeekendAutomation {
             );
 
             // Calculate when bookings open
-            const saturdayOpens = new Date(saturday);
-            saturdayOpens.setDate(saturdayOpens.getDate() - 7);
-            saturdayOpens.setHours(6, 30, 0, 0);
-
-            const sundayOpens = new Date(sunday);
-            sundayOpens.setDate(sundayOpens.getDate() - 7);
-            sundayOpens.setHours(6, 30, 0, 0);
+            const saturdayOpens = this.bookingWindow.getOpensAt(saturday);
+            const sundayOpens = this.bookingWindow.getOpensAt(sunday);
 
             // Determine actual status based on database
             const getSaturdayStatus = () => {
+                // Cancelled on the club site: automation leaves the date alone
+                if (satBooking[0]?.status === 'cancelled') {
+                    return {
+                        status: 'cancelled',
+                        type: satBooking[0].booking_type,
+                        message: 'Cancelled - not rebooked'
+                    };
+                }
+
                 // If there's a booking, show its status
                 if (satBooking.length > 0) {
                     return {
@@ -547,6 +799,16 @@ class WeekendAutomation {
                     };
                 }
 
+                // Blacked-out dates are skipped by automation
+                const blackout = this.findBlackout(saturday, blackouts);
+                if (blackout) {
+                    return {
+                        status: 'blackout',
+                        type: null,
+                        message: this.describeBlackout(blackout)
+                    };
+                }
+
                 // Check history for attempt results
                 if (satHistory.length > 0) {
                     const historyStatus = satHistory[0].status;
@@ -590,6 +852,15 @@ class WeekendAutomation {
             };
 
             const getSundayStatus = () => {
+                // Cancelled on the club site: automation leaves the date alone
+                if (sunBooking[0]?.status === 'cancelled') {
+                    return {
+                        status: 'cancelled',
+                        type: sunBooking[0].booking_type,
+                        message: 'Cancelled - not rebooked'
+                    };
+                }
+
                 // If there's a booking, show its status
                 if (sunBooking.length > 0) {
                     return {
@@ -599,6 +870,16 @@ class WeekendAutomation {
                     };
                 }
 
+                // Blacked-out dates are skipped by automation
+                const blackout = this.findBlackout(sunday, blackouts);
+                if (blackout) {
+                    return {
+                        status: 'blackout',
+                        type: null,
+                        message: this.describeBlackout(blackout)
+                    };
+                }
+
                 // Check history for attempt results
                 if (sunHistory.length > 0) {
                     const historyStatus = sunHistory[0].status;